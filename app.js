@@ -4,50 +4,494 @@ const line = require('@line/bot-sdk');
 const cron = require('node-cron');
 const axios = require('axios');
 const fs = require('fs');
+const path = require('path');
+const { createStore } = require('./lib/store');
+const { createReminderPolicy, reminderPolicyOptionsFromEnv } = require('./lib/reminderPolicy');
+const { getZonedParts, zonedTimeToTimestamp, addDays } = require('./lib/timezone');
+const { createEscalationPolicy, escalationLevelsFromEnv } = require('./lib/escalation');
+const { createSnoozePresets } = require('./lib/snooze');
+const { createAdminAuth, safeEqual } = require('./lib/adminAuth');
+const { escapeHtml } = require('./lib/html');
+const { summarizeLineMessage, hasMessageContent, createMediaStore } = require('./lib/media');
+const { renderDashboardPage, renderConversationDetail, FILTERS } = require('./lib/dashboard');
+const { buildDigest, formatDigestMessage } = require('./lib/digest');
+const { createMetricsRegistry } = require('./lib/metrics');
+const { createOutbox } = require('./lib/outbox');
+const { createEventDeduper } = require('./lib/eventDedupe');
+const { lineChannelsFromEnv, createConversationKeys } = require('./lib/channels');
+const { autoReplyRulesFromEnv, createAutoReplier } = require('./lib/autoReply');
+const { createAuditLog, ACTIONS: AUDIT_ACTIONS, SOURCES: AUDIT_SOURCES } = require('./lib/audit');
+const {
+  loadSimulationEvents,
+  createVirtualClock,
+  createTimeline,
+  createSimulatedLineClient,
+  summarizeSlackPayload,
+  describeLineEvent,
+  formatTimeline
+} = require('./lib/simulation');
+const { createPriorityClassifier, priorityRulesFromEnv, noReplyPhrasesFromEnv, priorityLevelsFromEnv } = require('./lib/priority');
+const { createSlackNotifier, createSlackApiNotifier, createNotifier, createNotificationRouter, notificationChannelsFromEnv } = require('./lib/notifiers');
+const { teamMembersFromEnv, createRoundRobinAssigner, resolveTeamMember, formatAssignee } = require('./lib/assignment');
 const app = express();
 
 // ---------------------------------------------------
 // 1) LINE/Slackの設定＆初期化
 // ---------------------------------------------------
-const config = {
-  channelAccessToken: process.env.LINE_CHANNEL_ACCESS_TOKEN,
-  channelSecret: process.env.LINE_CHANNEL_SECRET
-};
+// LINEチャネル（公式アカウント）。複数扱う場合は LINE_CHANNELS（lib/channels.js 参照）
+let lineChannels;
+try {
+  lineChannels = lineChannelsFromEnv();
+} catch (error) {
+  console.error(`エラー: ${error.message}`);
+  process.exit(1);
+}
+// シミュレーション（15) 参照）。設定するとサーバーは起動せず、このファイルのイベントを仮想時刻で再生する
+const SIMULATE_EVENTS_FILE = process.env.SIMULATE_EVENTS_FILE;
+// 最後のイベントのあと、何時間先まで時刻を進めてリマインダーを確かめるか
+const SIMULATE_HOURS_AFTER = Number(process.env.SIMULATE_HOURS_AFTER) || 24;
+let simulation = null;
+if (SIMULATE_EVENTS_FILE) {
+  let events;
+  try {
+    events = loadSimulationEvents(SIMULATE_EVENTS_FILE);
+  } catch (error) {
+    console.error(`エラー: ${SIMULATE_EVENTS_FILE} を読み込めません: ${error.message}`);
+    process.exit(1);
+  }
+  if (events.length === 0) {
+    console.error(`エラー: ${SIMULATE_EVENTS_FILE} にイベントがありません`);
+    process.exit(1);
+  }
+  // 仮想時刻は最初のイベントの時刻から始める
+  const clock = createVirtualClock(events[0].event.timestamp);
+  simulation = { events, clock, timeline: createTimeline(clock), displayNames: new Map() };
+}
 
-if (!config.channelAccessToken || !config.channelSecret) {
-  console.error('エラー: LINE_CHANNEL_ACCESS_TOKEN または LINE_CHANNEL_SECRET が設定されていません');
+// シミュレーションでは LINE API を呼ばないので、アクセストークンとシークレットはなくてもよい
+const channelsWithoutCredentials = lineChannels.filter(ch => !ch.channelAccessToken || !ch.channelSecret);
+if (channelsWithoutCredentials.length > 0 && !simulation) {
+  console.error(`エラー: LINE_CHANNEL_ACCESS_TOKEN または LINE_CHANNEL_SECRET が設定されていません（${channelsWithoutCredentials.map(ch => ch.key).join(', ')}）`);
   process.exit(1);
 }
+// 先頭のチャネルは /webhook でも受け、会話のキーに userId をそのまま使う
+const PRIMARY_CHANNEL_KEY = lineChannels[0].key;
 
 const SLACK_WEBHOOK_URL = process.env.SLACK_WEBHOOK_URL;
-if (!SLACK_WEBHOOK_URL) {
-  console.warn('警告: SLACK_WEBHOOK_URL が設定されていません。Slack通知は無効になります');
+// Slack Web API（ボットトークン）で送る場合の投稿先チャンネルID。SLACK_BOT_TOKEN を設定すると
+// Incoming Webhook の代わりに chat.postMessage で送り、会話ごとの通知を1つのスレッドにまとめる
+const SLACK_BOT_TOKEN = process.env.SLACK_BOT_TOKEN;
+const SLACK_CHANNEL_ID = process.env.SLACK_CHANNEL_ID;
+if (!SLACK_WEBHOOK_URL && !SLACK_BOT_TOKEN) {
+  console.warn('警告: SLACK_WEBHOOK_URL も SLACK_BOT_TOKEN も設定されていません。Slack通知は無効になります（エスカレーションレベルの webhookUrl を除く）');
 }
 
+// Slackのボタン操作（/slack/actions）の署名検証に使う
+const SLACK_SIGNING_SECRET = process.env.SLACK_SIGNING_SECRET;
+if (!SLACK_SIGNING_SECRET) {
+  console.warn('警告: SLACK_SIGNING_SECRET が設定されていません。Slackのボタン操作は無効になります');
+}
+
+// スヌーズのプリセット「明日」「来週月曜」の時刻
+const SNOOZE_MORNING_TIME = process.env.SNOOZE_MORNING_TIME || '10:00';
+
 const APP_BASE_URL = process.env.APP_BASE_URL || 'https://line-reminder-bot-de113f80aa92.herokuapp.com';
 
+// 返信済みリンクのトークンの有効期間（時間）。返信済みにすると使い捨てで無効になる
+const SECURITY_TOKEN_TTL_HOURS = Number(process.env.SECURITY_TOKEN_TTL_HOURS) || 72;
+
+// NODE_ENV=production ではテスト用エンドポイントを無効にする
+const IS_PRODUCTION = process.env.NODE_ENV === 'production';
+
+// 常に追跡するグループ/トークルームのID（カンマ区切り）。ADMIN_USER_IDS のユーザーはグループ内の「track on」でも追加できる
+const TRACKED_GROUP_IDS = (process.env.TRACKED_GROUP_IDS || '').split(',').map(v => v.trim()).filter(Boolean);
+// 追跡中のグループで「返信が必要」とみなすキーワード（カンマ区切り）。ボットへのメンションは常に対象
+const GROUP_TRACKING_KEYWORDS = (process.env.GROUP_TRACKING_KEYWORDS || '').split(',').map(v => v.trim()).filter(Boolean);
+
+// スタッフ用コマンド（一覧・返信済み・スヌーズ・リマインド・今日の集計など）を使える管理グループ/トークルームとユーザー（カンマ区切り）
+// ADMIN_USER_IDS のユーザーが使えるのはボットとの 1対1 のトークだけ（お客さまのグループでは使えない）
+const ADMIN_GROUP_IDS = (process.env.ADMIN_GROUP_IDS || '').split(',').map(v => v.trim()).filter(Boolean);
+const ADMIN_USER_IDS = (process.env.ADMIN_USER_IDS || '').split(',').map(v => v.trim()).filter(Boolean);
+
+// 友だち追加時のあいさつ（空文字にすると送らない）
+const WELCOME_MESSAGE = process.env.WELCOME_MESSAGE !== undefined
+  ? process.env.WELCOME_MESSAGE
+  : '友だち追加ありがとうございます！ご用件をメッセージでお送りください。担当者よりご連絡いたします。';
+
+// 営業時間外に受信したときの自動応答（空文字にすると送らない。{name} は表示名、{businessHours} は営業時間）
+// チャネルごとの案内は LINE_CHANNELS の outOfHoursMessage。キーワードによる自動応答は AUTO_REPLY_RULES（lib/autoReply.js）
+const AUTO_REPLY_OUT_OF_HOURS_MESSAGE = process.env.AUTO_REPLY_OUT_OF_HOURS_MESSAGE !== undefined
+  ? process.env.AUTO_REPLY_OUT_OF_HOURS_MESSAGE
+  : 'お問い合わせありがとうございます。ただいま営業時間外です（営業時間: {businessHours}）。営業時間内に担当者よりご連絡いたします。';
+let AUTO_REPLY_RULES;
+try {
+  AUTO_REPLY_RULES = autoReplyRulesFromEnv();
+} catch (error) {
+  console.error(`エラー: ${error.message}`);
+  process.exit(1);
+}
+
+// 画像・動画・音声・ファイルの保存先と保存期間（時間）。リンクの署名には MEDIA_URL_SECRET（未設定ならチャネルシークレット）を使う
+const MEDIA_DIR = process.env.MEDIA_DIR || path.join(process.cwd(), 'data', 'media');
+const MEDIA_RETENTION_HOURS = Number(process.env.MEDIA_RETENTION_HOURS) || 72;
+
+// 日次・週次サマリーの送信スケジュール（cron 式、REMINDER_TIMEZONE で解釈。"off" で無効）と送信先
+const DIGEST_DAILY_CRON = process.env.DIGEST_DAILY_CRON || '0 9 * * *';
+const DIGEST_WEEKLY_CRON = process.env.DIGEST_WEEKLY_CRON || '0 9 * * 1';
+const DIGEST_SLACK_WEBHOOK_URL = process.env.DIGEST_SLACK_WEBHOOK_URL || SLACK_WEBHOOK_URL;
+// サマリー用のアクティビティを残す日数
+const ACTIVITY_RETENTION_DAYS = Number(process.env.ACTIVITY_RETENTION_DAYS) || 35;
+// 監査ログ（誰がいつ何をしたか）を残す日数
+const AUDIT_RETENTION_DAYS = Number(process.env.AUDIT_RETENTION_DAYS) || 90;
+
+// 処理済みの webhookEventId を覚えておく時間（時間）と最大件数（LINE の再送を重複処理しないため）
+const WEBHOOK_EVENT_TTL_HOURS = Number(process.env.WEBHOOK_EVENT_TTL_HOURS) || 24;
+const WEBHOOK_EVENT_CACHE_SIZE = Number(process.env.WEBHOOK_EVENT_CACHE_SIZE) || 10000;
+
+// 会話状態の保存先（memory | json | sqlite）。シミュレーションでは保存済みのデータに触れないよう memory
+const STORE_TYPE = simulation ? 'memory' : (process.env.STORE_TYPE || 'json');
+const STORE_PATH = process.env.STORE_PATH;
+// JSONファイルストアで変更をまとめて書き出すまでの時間（ミリ秒）。終了時（SIGTERM / SIGINT）には待たずに書き出す
+const STORE_FLUSH_DELAY_MS = Number(process.env.STORE_FLUSH_DELAY_MS) || 1000;
+
 console.log('環境変数の状態:');
-console.log('LINE_CHANNEL_ACCESS_TOKEN exists:', !!config.channelAccessToken);
-console.log('LINE_CHANNEL_SECRET exists:', !!config.channelSecret);
+console.log('LINEチャネル:', lineChannels.map(ch => `${ch.key}(${ch.name})`).join(', '));
 console.log('SLACK_WEBHOOK_URL exists:', !!SLACK_WEBHOOK_URL);
+console.log('SLACK_BOT_TOKEN exists:', !!SLACK_BOT_TOKEN);
+console.log('SLACK_SIGNING_SECRET exists:', !!SLACK_SIGNING_SECRET);
 console.log('APP_BASE_URL:', APP_BASE_URL);
+console.log('STORE_TYPE:', STORE_TYPE);
+console.log('NODE_ENV:', process.env.NODE_ENV || '(未設定)');
+
+// 管理用API・デバッグ用エンドポイントの認証
+const adminAuth = createAdminAuth({
+  apiKey: process.env.ADMIN_API_KEY,
+  username: process.env.ADMIN_USER,
+  password: process.env.ADMIN_PASSWORD
+});
+if (!adminAuth.enabled) {
+  console.warn('警告: ADMIN_API_KEY も ADMIN_USER/ADMIN_PASSWORD も設定されていません。管理用エンドポイントは利用できません');
+}
+
+// リマインダーの送信条件（初回までの時間、間隔、営業時間、休日など）
+let reminderPolicy;
+try {
+  reminderPolicy = createReminderPolicy(reminderPolicyOptionsFromEnv());
+} catch (error) {
+  console.error(`エラー: リマインダーポリシーの設定が不正です: ${error.message}`);
+  process.exit(1);
+}
+console.log('リマインダーポリシー:', JSON.stringify(reminderPolicy.options));
 
-const client = new line.Client(config);
+// スヌーズのプリセット（タイムゾーンはリマインダーポリシーと同じ）
+const snoozePresets = createSnoozePresets({ timezone: reminderPolicy.options.timezone, morningTime: SNOOZE_MORNING_TIME });
+
+// 未返信が続いたときの送信先・メンションの段階
+let escalationPolicy;
+try {
+  escalationPolicy = createEscalationPolicy(escalationLevelsFromEnv());
+} catch (error) {
+  console.error(`エラー: ${error.message}`);
+  process.exit(1);
+}
+console.log('エスカレーションレベル数:', escalationPolicy.levels.length);
+
+// 受信メッセージの緊急度（優先度ごとのリマインダー間隔と Slack の見出し）
+let priorityClassifier;
+try {
+  priorityClassifier = createPriorityClassifier({
+    rules: priorityRulesFromEnv(),
+    noReplyPhrases: noReplyPhrasesFromEnv(),
+    levels: priorityLevelsFromEnv()
+  });
+} catch (error) {
+  console.error(`エラー: ${error.message}`);
+  process.exit(1);
+}
+console.log('優先度:', JSON.stringify(priorityClassifier.levels));
+
+// 担当者一覧と自動割り当て（AUTO_ASSIGN=round_robin）
+let TEAM_MEMBERS;
+try {
+  TEAM_MEMBERS = teamMembersFromEnv();
+} catch (error) {
+  console.error(`エラー: ${error.message}`);
+  process.exit(1);
+}
+const AUTO_ASSIGN = process.env.AUTO_ASSIGN || 'none';
+if (AUTO_ASSIGN === 'round_robin' && TEAM_MEMBERS.length === 0) {
+  console.warn('警告: AUTO_ASSIGN=round_robin ですが TEAM_MEMBERS が設定されていません');
+}
+console.log('TEAM_MEMBERS:', TEAM_MEMBERS.map(m => m.name).join(', ') || 'なし');
+console.log('AUTO_ASSIGN:', AUTO_ASSIGN);
+
+// チャネルごとの LINE クライアントとリマインダーポリシー（チャネルの reminderPolicy で環境変数の設定を上書き）、
+// 自動応答（営業時間外の判定はチャネルのリマインダーポリシーの営業時間）
+const channels = {};
+for (const ch of lineChannels) {
+  let policy = reminderPolicy;
+  if (Object.keys(ch.reminderPolicy).length > 0) {
+    try {
+      policy = createReminderPolicy({ ...reminderPolicyOptionsFromEnv(), ...ch.reminderPolicy });
+    } catch (error) {
+      console.error(`エラー: LINE_CHANNELS の ${ch.key} の reminderPolicy が不正です: ${error.message}`);
+      process.exit(1);
+    }
+  }
+  channels[ch.key] = {
+    ...ch,
+    client: simulation
+      ? createSimulatedLineClient({ channelKey: ch.key, timeline: simulation.timeline, displayNames: simulation.displayNames })
+      : new line.Client({ channelAccessToken: ch.channelAccessToken, channelSecret: ch.channelSecret }),
+    reminderPolicy: policy,
+    autoReplier: createAutoReplier({
+      rules: AUTO_REPLY_RULES,
+      outOfHoursMessage: ch.outOfHoursMessage != null ? ch.outOfHoursMessage : AUTO_REPLY_OUT_OF_HOURS_MESSAGE,
+      policy
+    })
+  };
+}
+console.log('自動応答ルール:', AUTO_REPLY_RULES.map(r => r.name).join(', ') || 'なし');
+const conversationKeys = createConversationKeys(PRIMARY_CHANNEL_KEY);
+
+// 会話のキーからチャネル・LINE の ID（userId / groupId / roomId）・リマインダーポリシーを引く
+function channelOf(key) {
+  return channels[conversationKeys.parse(key).channelKey] || channels[PRIMARY_CHANNEL_KEY];
+}
+function lineIdOf(key) {
+  return conversationKeys.parse(key).lineId;
+}
+function reminderPolicyFor(key) {
+  return channelOf(key).reminderPolicy;
+}
+// 複数チャネルのときだけ、通知やページにチャネル名を出す
+function channelLabel(key) {
+  return lineChannels.length > 1 ? `［${channelOf(key).name}］` : '';
+}
+
+const mediaStore = createMediaStore({
+  dir: MEDIA_DIR,
+  retentionMs: MEDIA_RETENTION_HOURS * 60 * 60 * 1000,
+  secret: process.env.MEDIA_URL_SECRET || channels[PRIMARY_CHANNEL_KEY].channelSecret,
+  createDir: !simulation // シミュレーションではメッセージの中身を取得しないので、作業ディレクトリに data/media を作らない
+});
+
+// /metrics（Prometheus 形式）。未返信の件数は読むたびに conversations から求める
+const metrics = createMetricsRegistry('line_reminder_');
+const lineEventsCounter = metrics.counter('line_events_total', '受信したLINEイベント数（type別）');
+const notificationSendsCounter = metrics.counter('notification_sends_total', '通知チャネルへの送信数（channel, type, result: success | failure）');
+const slackSendsCounter = metrics.counter('slack_sends_total', 'Slackへの送信数（kind: notification | reminder | text | digest | update, result: success | failure）');
+const duplicateEventsCounter = metrics.counter('webhook_duplicate_events_total', '処理済みのため無視したLINEイベント数（redelivery: true | false）');
+const webhookSignatureFailuresCounter = metrics.counter('webhook_signature_failures_total', '/webhook の署名検証に失敗したリクエスト数');
+const timeToReplyHistogram = metrics.histogram('time_to_reply_seconds', '最初の未返信メッセージから返信済みになるまでの秒数',
+  [300, 900, 1800, 3600, 3 * 3600, 6 * 3600, 12 * 3600, 24 * 3600, 3 * 24 * 3600]);
+metrics.gauge('pending_conversations', '未返信の会話数（送信済みリマインダー回数別）', () => {
+  const byCount = { 0: 0 };
+  for (const key in conversations) {
+    const c = conversations[key];
+    if (!c.needsReply || !isReminderTarget(key, c)) continue;
+    const count = c.reminderCount || 0;
+    byCount[count] = (byCount[count] || 0) + 1;
+  }
+  return Object.keys(byCount).map(count => ({ labels: { reminder_count: count }, value: byCount[count] }));
+});
+
+// 通知チャネル。Slack（SLACK_WEBHOOK_URL、LINEチャネルごとの slackWebhookUrl、エスカレーションレベルの送信先）は
+// 送信先のあるLINEチャネルのすべての通知を受け取り、NOTIFICATION_CHANNELS の分はそれぞれのルーティング条件に合う通知だけを受け取る
+// SLACK_BOT_TOKEN があれば Slack は Web API で送り、送信先は SLACK_CHANNEL_ID とLINEチャネルごとの slackChannelId
+// シミュレーションでは Slack（Incoming Webhook の形式）に送る内容をタイムラインに記録するだけで、他の通知チャネルは使わない
+let notificationRoutes = [];
+if (!simulation) {
+  try {
+    notificationRoutes = notificationChannelsFromEnv().map(createNotifier);
+  } catch (error) {
+    console.error(`エラー: ${error.message}`);
+    process.exit(1);
+  }
+}
+const slackLineChannels = SLACK_BOT_TOKEN
+  ? lineChannels.filter(ch => ch.slackChannelId || SLACK_CHANNEL_ID).map(ch => ch.key)
+  : lineChannels.filter(ch => ch.slackWebhookUrl || SLACK_WEBHOOK_URL).map(ch => ch.key);
+// 会話が削除・返信済みになった通知は deliverNotification() が送る前に捨てるが、念のため会話がなければボタンなしのテキストで送る
+const formatSlackConversation = n => (conversations[n.conversationKey]
+  ? createSlackMessage(n.conversationKey, n.text, n.event, n.reminderCount, n.escalationLevel, n.confirmUrl)
+  : { text: n.text });
+// 会話ごとのスレッドの親を更新するのに使う（Web API のときだけ）
+let slackThreadNotifier = null;
+if (simulation) {
+  notificationRoutes.push({
+    notifier: createSlackNotifier({
+      name: 'slack',
+      webhookUrl: SLACK_WEBHOOK_URL,
+      webhookUrlFor: n => (channels[n.channelKey] ? channels[n.channelKey].slackWebhookUrl : null) || SLACK_WEBHOOK_URL || 'simulation',
+      followEscalation: true,
+      formatConversation: formatSlackConversation,
+      post: async (url, payload, n) => {
+        simulation.timeline.add('slack', {
+          event: n.event,
+          conversationKey: n.conversationKey || null,
+          destination: url !== (SLACK_WEBHOOK_URL || 'simulation') ? url : null,
+          text: summarizeSlackPayload(payload),
+          payload
+        });
+      }
+    })
+  });
+} else if (slackLineChannels.length > 0 && SLACK_BOT_TOKEN) {
+  slackThreadNotifier = createSlackApiNotifier({
+    name: 'slack',
+    token: SLACK_BOT_TOKEN,
+    channelId: SLACK_CHANNEL_ID,
+    channelIdFor: n => (channels[n.channelKey] ? channels[n.channelKey].slackChannelId : null),
+    threadFor: n => (conversations[n.conversationKey] ? conversations[n.conversationKey].slackThread || null : null),
+    onThreadStarted: (n, thread) => {
+      conversations[n.conversationKey].slackThread = thread;
+      saveConversation(n.conversationKey);
+      logDebug(`Slackスレッド開始: key=${n.conversationKey}, channel=${thread.channel}, ts=${thread.ts}`);
+    },
+    formatThreadParent: n => (conversations[n.conversationKey] ? createSlackThreadParent(n.conversationKey) : null),
+    formatConversation: formatSlackConversation
+  });
+  notificationRoutes.unshift({ notifier: slackThreadNotifier, rule: { lineChannels: slackLineChannels } });
+} else if (slackLineChannels.length > 0) {
+  notificationRoutes.unshift({
+    notifier: createSlackNotifier({
+      name: 'slack',
+      webhookUrl: SLACK_WEBHOOK_URL,
+      webhookUrlFor: n => (channels[n.channelKey] ? channels[n.channelKey].slackWebhookUrl : null),
+      followEscalation: true,
+      formatConversation: formatSlackConversation
+    }),
+    rule: { lineChannels: slackLineChannels }
+  });
+}
+// エスカレーションレベルの送信先（webhookUrl）は、Slack の送信先がないLINEチャネルでもそのレベルのリマインダーを受け取る。
+// Web API で送る場合はスレッドに加えて送る（Incoming Webhook の場合、送信先のあるチャネルは上の slack が振り分ける）
+const escalationWebhookLevels = escalationPolicy.levels.filter(level => level.webhookUrl).map(level => level.name);
+const escalationLineChannels = SLACK_BOT_TOKEN
+  ? lineChannels.map(ch => ch.key)
+  : lineChannels.map(ch => ch.key).filter(key => !slackLineChannels.includes(key));
+if (!simulation && escalationWebhookLevels.length > 0 && escalationLineChannels.length > 0) {
+  notificationRoutes.push({
+    notifier: createSlackNotifier({
+      name: 'slack-escalation',
+      followEscalation: true,
+      formatConversation: formatSlackConversation
+    }),
+    rule: { events: ['reminder'], escalationLevels: escalationWebhookLevels, lineChannels: escalationLineChannels }
+  });
+}
+const notificationRouter = createNotificationRouter(notificationRoutes);
+console.log('通知チャネル:', notificationRouter.notifiers.map(n => `${n.name}(${n.type})`).join(', ') || 'なし');
 
 // ---------------------------------------------------
 // 2) 会話状態管理
 // ---------------------------------------------------
+// キーは 1対1 なら userId、追跡中のグループ/トークルームなら groupId/roomId
 // { userId: {
-//    userMessage: { text, timestamp, id },
-//    botReply: { text, timestamp, id },
+//    userMessage: { text, timestamp, id, type, media?, senderId?, senderName? }, // 最新のメッセージ
+//                                                // text はテキスト以外なら要約、media は保存したファイル、sender* はグループのみ
+//    pendingMessages: [{ text, timestamp, id, priority }], // 未返信のメッセージ（古い順。priority: 'high' | 'normal' | 'low'）
+//    messages: [{ from, text, timestamp, id, sentBy?, auto? }], // 履歴（from: 'user' | 'staff'、古い順、最大 MAX_MESSAGE_HISTORY 件。auto は自動応答）
+//    botReply: { text, timestamp, id, sentBy }, // Slackから送った最後の返信
+//    autoReply: { kind, rule, text, timestamp }, // 最後の自動応答（kind: 'faq' | 'out_of_hours'）
+//    slackThread: { channel, ts } | null,        // Slack Web API で送るときの会話のスレッド（親は会話の状態を表示する）
 //    needsReply: boolean,
-//    displayName: string,
-//    sourceType: string,
+//    displayName: string,      // グループの場合はグループ名
+//    sourceType: string,       // 'user' | 'group' | 'room'
 //    lastReminderTime: number, // 最後にリマインダーを送信した時間
 //    reminderCount: number,    // リマインダーの送信回数
-//    securityToken: string     // セキュリティトークン
+//    escalationLevel: string,  // 最後のリマインダーのエスカレーションレベル名
+//    snoozedUntil: number,     // この時刻までリマインダーを送らない（0 = スヌーズなし）
+//    snoozedBy: string,        // スヌーズした人
+//    assignee: { name, slackUserId, assignedAt, assignedBy } | null, // 担当者
+//    securityToken: string,    // セキュリティトークン（返信済みにすると null）
+//    securityTokenIssuedAt: number, // トークンの発行時刻（有効期限の判定用）
+//    unfollowedAt: number | null,   // ブロックされた時刻（友だち追加し直すと null）
+//    repliedAt: number | null       // 最後に返信済みにした時刻
 // } }
-const conversations = {};
+// 起動時にストアから復元し、変更のたびに saveConversation() で書き戻す
+const store = createStore({ type: STORE_TYPE, filePath: STORE_PATH, flushDelayMs: STORE_FLUSH_DELAY_MS });
+const conversations = store.load('conversations');
+console.log('復元した会話数:', Object.keys(conversations).length);
+
+const MAX_MESSAGE_HISTORY = 50;
+
+// ラウンドロビンの順番は再起動後も続きから割り当てる
+const settings = store.load('settings');
+const roundRobinAssigner = createRoundRobinAssigner(TEAM_MEMBERS, settings.roundRobinIndex || 0);
+
+// 追跡中のグループ/トークルーム { 会話のキー: { enabledAt, enabledBy } }（TRACKED_GROUP_IDS の分は保存しない）
+// 同じグループに複数のチャネルのボットがいても、追跡はチャネルごとに切り替わるよう会話のキー（conversationKeys.keyFor）で持つ
+const trackedGroups = store.load('trackedGroups');
+
+// サマリー用のアクティビティ { id: { type: 'received' | 'replied' | 'reminder', key, displayName, timestamp, waitMs? } }
+// 会話は返信済みになると削除されるので、集計に必要な分だけ別に残す
+const activities = store.load('activities');
+
+// 監査ログ（/api/audit で検索する）
+const auditLog = createAuditLog({ store, retentionMs: AUDIT_RETENTION_DAYS * 24 * 60 * 60 * 1000, log: logDebug });
+
+// 処理済みの webhookEventId
+const eventDeduper = createEventDeduper({
+  store,
+  ttlMs: WEBHOOK_EVENT_TTL_HOURS * 60 * 60 * 1000,
+  maxEntries: WEBHOOK_EVENT_CACHE_SIZE,
+  log: logDebug
+});
+
+// 履歴を持たない古い形式のレコードを補完する
+for (const userId in conversations) {
+  const c = conversations[userId];
+  if (!c.pendingMessages) {
+    c.pendingMessages = c.needsReply && c.userMessage ? [c.userMessage] : [];
+  }
+  if (!c.messages) {
+    c.messages = c.userMessage ? [{ from: 'user', ...c.userMessage }] : [];
+  }
+}
+
+// 時刻順の配列に1件入れる（同時刻なら後ろ）
+function insertByTimestamp(list, entry) {
+  let i = list.length;
+  while (i > 0 && list[i - 1].timestamp > entry.timestamp) i--;
+  list.splice(i, 0, entry);
+}
+
+// 履歴に1件追加する（時刻順。上限を超えた古いものは捨てる）
+function appendMessageHistory(c, entry) {
+  insertByTimestamp(c.messages, entry);
+  if (c.messages.length > MAX_MESSAGE_HISTORY) {
+    c.messages.splice(0, c.messages.length - MAX_MESSAGE_HISTORY);
+  }
+}
+
+// 未返信メッセージを Slack/確認ページ向けに箇条書きにする
+function formatPendingMessages(c) {
+  return (c.pendingMessages || [])
+    .map(m => `・${m.senderName ? `${m.senderName}さん` : ''}「${m.text}」（${formatLocalTime(m.timestamp)}）`)
+    .join('\n');
+}
+
+// Slackの文面での送り主の表記。グループならグループ名と送信者の両方を出す
+// （message を省略するとグループ名だけ）
+function senderLabel(c, message = null) {
+  if (c.sourceType === 'group' || c.sourceType === 'room') {
+    return message && message.senderName ? `【${c.displayName}】の${message.senderName}さん` : `【${c.displayName}】`;
+  }
+  return `${c.displayName}さん`;
+}
+
+// key: グループ/トークルームの会話のキー（TRACKED_GROUP_IDS はどのチャネルでも追跡する）
+function isGroupTracked(key) {
+  return TRACKED_GROUP_IDS.includes(lineIdOf(key)) || !!trackedGroups[key];
+}
+
+// リマインダーの対象か（グループ/トークルームは追跡中のものだけ）
+function isReminderTarget(key, c) {
+  if (c.sourceType === 'group' || c.sourceType === 'room') return isGroupTracked(key);
+  return true;
+}
 
 // ---------------------------------------------------
 // 3) デバッグログ管理
@@ -56,11 +500,57 @@ const debugLogs = [];
 function logDebug(message) {
   const timestamp = new Date().toISOString();
   const logEntry = `${timestamp}: ${message}`;
-  console.log(logEntry);
+  if (!simulation) console.log(logEntry); // シミュレーションではタイムラインだけを表示する
   debugLogs.unshift(logEntry);
   if (debugLogs.length > 100) debugLogs.pop();
 }
 
+// 会話1件をストアに書き戻す（削除済みならストアからも削除）
+function saveConversation(userId) {
+  try {
+    if (conversations[userId]) {
+      store.put('conversations', userId, conversations[userId]);
+    } else {
+      store.remove('conversations', userId);
+    }
+  } catch (error) {
+    logDebug(`会話保存失敗: userId=${userId}, error=${error.message}`);
+  }
+}
+
+function setGroupTracking(key, enabled, enabledBy) {
+  try {
+    if (enabled) {
+      trackedGroups[key] = { enabledAt: Date.now(), enabledBy };
+      store.put('trackedGroups', key, trackedGroups[key]);
+    } else {
+      delete trackedGroups[key];
+      store.remove('trackedGroups', key);
+    }
+  } catch (error) {
+    logDebug(`追跡設定の保存失敗: key=${key}, error=${error.message}`);
+  }
+  logDebug(`グループ追跡${enabled ? '開始' : '停止'}: key=${key}, by=${enabledBy}`);
+}
+
+function recordActivity(type, key, fields) {
+  const id = `${Date.now()}-${crypto.randomBytes(4).toString('hex')}`;
+  activities[id] = { type, key, ...fields };
+  try {
+    store.put('activities', id, activities[id]);
+  } catch (error) {
+    logDebug(`アクティビティ保存失敗: type=${type}, key=${key}, error=${error.message}`);
+  }
+}
+
+function saveSetting(key, value) {
+  try {
+    store.put('settings', key, value);
+  } catch (error) {
+    logDebug(`設定保存失敗: key=${key}, error=${error.message}`);
+  }
+}
+
 // ---------------------------------------------------
 // 4) セキュリティトークン生成
 // ---------------------------------------------------
@@ -68,10 +558,36 @@ function generateSecurityToken() {
   return crypto.randomBytes(16).toString('hex');
 }
 
+// 会話に新しいトークンを発行する（以前のリンクは無効になる）
+function issueSecurityToken(c) {
+  c.securityToken = generateSecurityToken();
+  c.securityTokenIssuedAt = Date.now();
+  return c.securityToken;
+}
+
+// 通知に載せるトークンを返す。期限の半分を過ぎていたら発行し直し、
+// 通知に載せたリンクが少なくとも有効期間の半分は使えるようにする。
+// 通知をアウトボックスに入れるとき（sendConversationNotification）だけ呼ぶ。送信・再送のときに発行すると、
+// 返信済みで使い捨てたトークンが復活したり、保存されないトークンがリンクに載ったりする
+function freshSecurityToken(c) {
+  const ttlMs = SECURITY_TOKEN_TTL_HOURS * 60 * 60 * 1000;
+  if (!c.securityToken || !c.securityTokenIssuedAt || Date.now() - c.securityTokenIssuedAt > ttlMs / 2) {
+    return issueSecurityToken(c);
+  }
+  return c.securityToken;
+}
+
+// ログやデバッグ出力用に末尾4文字以外を伏せる
+function maskToken(token) {
+  return token ? '**********' + token.substring(token.length - 4) : null;
+}
+
 // ---------------------------------------------------
 // 5) ミドルウェア設定
 // ---------------------------------------------------
 app.use('/webhook', express.raw({ type: 'application/json' }));
+// Slackの署名検証には生のボディが必要
+app.use('/slack', express.raw({ type: 'application/x-www-form-urlencoded' }));
 app.use(express.json());
 app.use(express.urlencoded({ extended: true }));
 
@@ -79,73 +595,432 @@ app.use(express.urlencoded({ extended: true }));
 // 6) Slack通知用のヘルパー
 // ---------------------------------------------------
 
-// (A) 直接テキストメッセージとリンクを作成
-function createSlackMessage(lineUserId, customText, isReminder = false, reminderCount = 0) {
-  const securityToken = conversations[lineUserId].securityToken || generateSecurityToken();
-  
-  // トークンを保存
-  if (conversations[lineUserId]) {
-    conversations[lineUserId].securityToken = securityToken;
+// (A) Block Kit のメッセージを作成
+// ボタンの value には LINE の userId を入れ、/slack/actions で受け取る
+// event: 'new_message' | 'reminder' | 'snooze_end'（見出しが変わる）
+// escalationLevel を渡すと見出しとメンションがそのレベルのものになる
+// markAsRepliedUrl: 通知に載せる確認ページのリンク（トークンは通知をアウトボックスに入れたときに発行済み）
+function createSlackMessage(lineUserId, customText, event = 'new_message', reminderCount = 0, escalationLevel = null, markAsRepliedUrl) {
+  const isReminder = event === 'reminder';
+  let prefix = '*【LINEからの新着メッセージ】*\n';
+  if (isReminder) {
+    prefix = `*【リマインダー ${reminderCount > 0 ? `#${reminderCount}` : ''}】*\n`;
+  } else if (event === 'snooze_end') {
+    prefix = '*【スヌーズ終了】*\n';
+  }
+  if (isReminder && escalationLevel && escalationLevel.prefix) {
+    prefix = `*${escalationLevel.prefix}${reminderCount > 0 ? ` #${reminderCount}` : ''}*\n`;
+  }
+  // 至急・返信不要などの優先度の見出し
+  const priority = conversationPriority(conversations[lineUserId]);
+  if (priority.slackPrefix) {
+    prefix = `${priority.slackPrefix} ${prefix}`;
+  }
+  // リマインダーとスヌーズ終了では担当者にもメンションする
+  const mentions = escalationLevel ? [...escalationLevel.mentions] : [];
+  const assignee = conversations[lineUserId].assignee;
+  if ((isReminder || event === 'snooze_end') && assignee && assignee.slackUserId) {
+    mentions.push(formatAssignee(assignee, true));
+  }
+  if (mentions.length > 0) {
+    prefix = `${mentions.join(' ')}\n${prefix}`;
   }
   
-  const markAsRepliedUrl = `${APP_BASE_URL}/api/mark-as-replied-confirm?userId=${lineUserId}&token=${securityToken}`;
-  
-  let prefix = isReminder ? `*【リマインダー ${reminderCount > 0 ? `#${reminderCount}` : ''}】*\n` : '*【LINEからの新着メッセージ】*\n';
+  const buttons = [];
+  // 署名検証ができない場合はボタン操作を受け付けられないので、リンクだけにする
+  if (SLACK_SIGNING_SECRET) {
+    buttons.push(
+      { type: 'button', action_id: 'mark_as_replied', text: { type: 'plain_text', text: '返事した' }, style: 'primary', value: lineUserId },
+      { type: 'button', action_id: 'claim', text: { type: 'plain_text', text: '担当する' }, value: lineUserId },
+      {
+        type: 'static_select',
+        action_id: 'snooze',
+        placeholder: { type: 'plain_text', text: 'スヌーズ' },
+        options: snoozePresets.presets.map(p => ({
+          text: { type: 'plain_text', text: p.label },
+          value: `${lineUserId}|${p.key}`
+        }))
+      }
+    );
+  }
+  buttons.push({ type: 'button', action_id: 'open_details', text: { type: 'plain_text', text: '詳細を開く' }, url: markAsRepliedUrl });
   
   return {
+    // 通知やボタン非対応クライアント向けのフォールバック
     text: `${prefix}${customText}\n\n返信済みにするには以下のリンクをクリックしてください:\n${markAsRepliedUrl}`,
+    blocks: [
+      { type: 'section', text: { type: 'mrkdwn', text: `${prefix}${customText}` } },
+      { type: 'actions', block_id: 'conversation_actions', elements: buttons },
+      { type: 'context', block_id: 'conversation_info', elements: [{ type: 'mrkdwn', text: slackConversationInfoText(lineUserId) }] }
+    ],
     unfurl_links: false
   };
 }
 
-// (B) インタラクティブ通知を送る（修正版）
-async function sendSlackInteractiveNotification(lineUserId, customText, isReminder = false, reminderCount = 0) {
-  if (!SLACK_WEBHOOK_URL) {
-    logDebug('Slack Webhook URLが未設定のため送信できません');
-    return;
+// Slackのスレッドの親（会話の状態と最新のメッセージ）
+function createSlackThreadParent(lineUserId) {
+  const c = conversations[lineUserId];
+  const priority = conversationPriority(c);
+  const header = `${c.needsReply && priority.slackPrefix ? `${priority.slackPrefix} ` : ''}*${channelLabel(lineUserId)}${senderLabel(c)}とのLINEの会話*`;
+  const latest = c.userMessage
+    ? `\n最新のメッセージ：「${c.userMessage.text}」（${formatLocalTime(c.userMessage.timestamp)}）`
+    : '';
+  const text = `${header}\n状態: ${slackThreadStatusText(c)}${latest}`;
+  return {
+    text,
+    blocks: [
+      { type: 'section', text: { type: 'mrkdwn', text } },
+      { type: 'context', elements: [{ type: 'mrkdwn', text: `${slackConversationInfoText(lineUserId)} ｜ 通知はこのスレッドに届きます` }] }
+    ],
+    unfurl_links: false
+  };
+}
+
+function slackThreadStatusText(c) {
+  if (!c.needsReply) {
+    return `✅ 返信済み${c.repliedAt ? `（${formatLocalTime(c.repliedAt)}）` : ''}`;
   }
-  
-  const message = createSlackMessage(lineUserId, customText, isReminder, reminderCount);
-  
+  if (c.snoozedUntil && c.snoozedUntil > Date.now()) {
+    return `⏰ スヌーズ中（${formatLocalTime(c.snoozedUntil)} まで${c.snoozedBy ? `、${c.snoozedBy}` : ''}）`;
+  }
+  const reminders = c.reminderCount ? `、リマインダー${c.reminderCount}回` : '';
+  return `🟡 未返信（${c.pendingMessages.length}件${reminders}）`;
+}
+
+// 会話の状態が変わったらスレッドの親を書き換える（Web API で送っていて、スレッドがあるときだけ）
+async function refreshSlackThread(lineUserId) {
+  const c = conversations[lineUserId];
+  if (!slackThreadNotifier || !c || !c.slackThread) return;
   try {
-    const response = await axios.post(SLACK_WEBHOOK_URL, message);
-    logDebug(`Slack通知送信成功: ${response.status}`);
+    await slackThreadNotifier.update(c.slackThread, createSlackThreadParent(lineUserId));
+    slackSendsCounter.inc({ kind: 'update', result: 'success' });
   } catch (error) {
-    logDebug(`Slack通知送信失敗: ${error.message}`);
+    slackSendsCounter.inc({ kind: 'update', result: 'failure' });
+    logDebug(`Slackスレッドの更新失敗: key=${lineUserId}, error=${error.message}`);
   }
 }
 
-// (C) 単純なテキスト通知
-async function sendSlackNotification(message) {
-  if (!SLACK_WEBHOOK_URL) {
-    logDebug('Slack Webhook URLが未設定のため送信できません');
-    return;
+// Slack の <url|表示名> の表示名に入れる文字列（& < > は実体参照にし、区切りの | は取り除く）
+function escapeSlackLinkText(text) {
+  return String(text)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/\|/g, '');
+}
+
+// 通知の下に出す補足（担当者と返信コマンド）
+function slackConversationInfoText(lineUserId) {
+  return `担当: ${formatAssignee(conversations[lineUserId].assignee)} ｜ Slackから返信: \`/line-reply ${lineUserId} 本文\``;
+}
+
+// メトリクス slack_sends_total の kind
+const SLACK_SEND_KINDS = { new_message: 'notification', reminder: 'reminder', snooze_end: 'reminder', notice: 'text' };
+
+// (B) 通知はアウトボックスに書いてから送り、失敗したものは再送する（12-3 の cron）
+const outbox = createOutbox({
+  store,
+  send: deliverNotification,
+  onDelivered: entry => {
+    if (entry.meta && entry.meta.type === 'reminder') recordReminderDelivered(entry.meta);
+    if (entry.meta && entry.meta.type === 'snooze_end') recordSnoozeEndDelivered(entry.meta);
+    const { notification } = entry;
+    const isReminder = notification.event === 'reminder' || notification.event === 'snooze_end';
+    auditLog.record(isReminder ? 'reminder_sent' : 'notification_sent', {
+      conversationKey: notification.conversationKey || null,
+      displayName: notification.displayName || null,
+      details: { channel: entry.channel, event: notification.event, reminderCount: notification.reminderCount || 0, attempts: entry.attempts }
+    });
+  },
+  log: logDebug
+});
+
+// アウトボックスの1件を該当チャネルに送る（失敗したら例外のまま返して再送させる）
+// 再送を待つ間に会話が返信済み・削除になった新着・リマインダーは送らずに false を返して捨てる
+async function deliverNotification(entry) {
+  const notifier = notificationRouter.notifiers.find(n => n.name === entry.channel);
+  if (!notifier) throw new Error(`通知チャネル ${entry.channel} は設定されていません`);
+  const { notification } = entry;
+  if (['new_message', 'reminder', 'snooze_end'].includes(notification.event)) {
+    const c = conversations[notification.conversationKey];
+    if (!c || !c.needsReply) {
+      logDebug(`返信済み・削除済みの会話の通知を破棄: channel=${notifier.name}, event=${notification.event}, key=${notification.conversationKey}`);
+      return false;
+    }
+  }
+  const labels = { channel: notifier.name, type: notifier.type };
+  try {
+    await notifier.send(notification);
+  } catch (error) {
+    notificationSendsCounter.inc({ ...labels, result: 'failure' });
+    if (notifier.type === 'slack') slackSendsCounter.inc({ kind: SLACK_SEND_KINDS[notification.event], result: 'failure' });
+    logDebug(`通知送信失敗: channel=${notifier.name}, event=${notification.event}, 試行=${entry.attempts}回目, error=${error.message}`);
+    throw error;
+  }
+  notificationSendsCounter.inc({ ...labels, result: 'success' });
+  if (notifier.type === 'slack') slackSendsCounter.inc({ kind: SLACK_SEND_KINDS[notification.event], result: 'success' });
+  logDebug(`通知送信成功: channel=${notifier.name}, event=${notification.event}`);
+}
+
+// 通知をルーティング条件に合うすべてのチャネルに送る
+// meta: 送信できたときに使う情報（リマインダーなら { type: 'reminder', conversationKey, reminderCount, escalationLevel }、
+//       スヌーズ終了なら { type: 'snooze_end', conversationKey }）
+// 戻り値: [{ channel, ok, error? }]（送信先がなければ空。ok: false のものは後で再送される）
+async function dispatchNotification(notification, meta = null) {
+  const notifiers = notificationRouter.route(notification);
+  if (notifiers.length === 0) {
+    logDebug(`通知先がないため送信しません: event=${notification.event}`);
+    return [];
+  }
+  return outbox.enqueue(notification, notifiers.map(n => n.name), meta);
+}
+
+// リマインダーがどれかのチャネルに届いたら、会話のリマインダー情報を進める
+// （他のチャネルで記録済みの場合や、再送を待つ間に返信済みになった場合は何もしない）
+function recordReminderDelivered({ conversationKey, reminderCount, escalationLevel }) {
+  const c = conversations[conversationKey];
+  if (!c || !c.needsReply || (c.reminderCount || 0) >= reminderCount) return;
+  c.lastReminderTime = Date.now();
+  c.reminderCount = reminderCount;
+  c.escalationLevel = escalationLevel;
+  saveConversation(conversationKey);
+  recordActivity('reminder', conversationKey, { displayName: c.displayName, timestamp: c.lastReminderTime });
+  refreshSlackThread(conversationKey);
+}
+
+// スヌーズ終了の通知がどれかのチャネルに届いたら、リマインダー1回分として扱い、次のリマインダーまで間隔をあける
+// （リマインダーの回数は増やさない）
+function recordSnoozeEndDelivered({ conversationKey }) {
+  const c = conversations[conversationKey];
+  if (!c || !c.needsReply) return;
+  c.lastReminderTime = Date.now();
+  saveConversation(conversationKey);
+}
+
+// リマインダー（スヌーズ終了の通知を含む）が送信待ち（再送待ち）か
+function hasPendingReminder(conversationKey) {
+  return outbox.hasPending(meta => (meta.type === 'reminder' || meta.type === 'snooze_end') && meta.conversationKey === conversationKey);
+}
+
+// (B-1) 会話についての通知（event: 'new_message' | 'reminder' | 'snooze_end'）
+// 確認ページのトークンはここで発行して保存し、再送でも同じリンクを使う
+async function sendConversationNotification(lineUserId, customText, event = 'new_message', reminderCount = 0, escalationLevel = null) {
+  const c = conversations[lineUserId];
+  const securityToken = freshSecurityToken(c);
+  saveConversation(lineUserId);
+  const isReminder = event === 'reminder';
+  let title = 'LINEからの新着メッセージ';
+  if (isReminder) {
+    title = `${(escalationLevel && escalationLevel.prefix) || 'リマインダー'}${reminderCount > 0 ? ` #${reminderCount}` : ''}`;
+  } else if (event === 'snooze_end') {
+    title = 'スヌーズ終了';
+  }
+  let meta = null;
+  if (isReminder) {
+    meta = { type: 'reminder', conversationKey: lineUserId, reminderCount, escalationLevel: escalationLevel ? escalationLevel.name : null };
+  } else if (event === 'snooze_end') {
+    meta = { type: 'snooze_end', conversationKey: lineUserId };
+  }
+  return dispatchNotification({
+    event,
+    channelKey: channelOf(lineUserId).key,
+    conversationKey: lineUserId,
+    displayName: c.displayName,
+    sourceType: c.sourceType,
+    title,
+    text: `${channelLabel(lineUserId)}${customText}`,
+    reminderCount,
+    escalationLevel,
+    confirmUrl: `${APP_BASE_URL}/api/mark-as-replied-confirm?userId=${encodeURIComponent(lineUserId)}&token=${securityToken}`,
+    assigneeName: c.assignee ? c.assignee.name : null
+  }, meta);
+}
+
+// (C) 単純なテキスト通知（友だち追加・ブロックなどのお知らせ）
+async function sendTextNotification(message, title = 'お知らせ', channelKey = PRIMARY_CHANNEL_KEY) {
+  const label = lineChannels.length > 1 ? `［${channels[channelKey].name}］` : '';
+  return dispatchNotification({ event: 'notice', channelKey, title, text: `${label}${message}` });
+}
+
+// (D) 元のSlackメッセージを対応結果で置き換える（response_url 経由）
+async function updateSlackActionMessage(responseUrl, originalText, resultText) {
+  try {
+    await axios.post(responseUrl, {
+      replace_original: true,
+      text: `${originalText}\n${resultText}`,
+      blocks: [
+        { type: 'section', text: { type: 'mrkdwn', text: originalText } },
+        { type: 'context', elements: [{ type: 'mrkdwn', text: resultText }] }
+      ]
+    });
+    slackSendsCounter.inc({ kind: 'update', result: 'success' });
+    logDebug('Slackメッセージ更新成功');
+  } catch (error) {
+    slackSendsCounter.inc({ kind: 'update', result: 'failure' });
+    logDebug(`Slackメッセージ更新失敗: ${error.message}`);
   }
+}
+
+// (E) ボタンを残したまま、元のSlackメッセージの補足欄だけを書き換える
+async function updateSlackConversationInfo(responseUrl, originalMessage, infoText) {
+  const blocks = (originalMessage.blocks || []).map(block => (
+    block.block_id === 'conversation_info'
+      ? { type: 'context', block_id: 'conversation_info', elements: [{ type: 'mrkdwn', text: infoText }] }
+      : block
+  ));
   try {
-    const response = await axios.post(SLACK_WEBHOOK_URL, { text: message });
-    logDebug(`Slackテキスト通知送信成功: ${response.status}`);
+    await axios.post(responseUrl, { replace_original: true, text: originalMessage.text, blocks });
+    slackSendsCounter.inc({ kind: 'update', result: 'success' });
+    logDebug('Slackメッセージ更新成功');
   } catch (error) {
-    logDebug(`Slackテキスト通知送信失敗: ${error.message}`);
+    slackSendsCounter.inc({ kind: 'update', result: 'failure' });
+    logDebug(`Slackメッセージ更新失敗: ${error.message}`);
   }
 }
 
+// ---------------------------------------------------
+// 6-2) 会話状態の更新
+// ---------------------------------------------------
+
+// 自動処理の操作者（監査ログ用）
+const SYSTEM_ACTOR = { actor: 'system', source: 'system' };
+
+// 返信済みにしてリマインダー情報をリセットする
+// countAsReply: false ならサマリーの返信件数・返信時間に数えない（ブロックで閉じた場合など）
+// by: 監査ログに残す操作者 { actor, source }（省略時は自動処理）
+function markConversationAsReplied(userId, { countAsReply = true, by = SYSTEM_ACTOR } = {}) {
+  const c = conversations[userId];
+  const now = Date.now();
+  auditLog.record('marked_replied', {
+    conversationKey: userId,
+    displayName: c.displayName,
+    ...by,
+    details: { pendingCount: c.pendingMessages.length, wasPending: !!c.needsReply, countAsReply }
+  });
+  if (c.needsReply && countAsReply) {
+    const oldest = c.pendingMessages.length > 0 ? c.pendingMessages[0] : c.userMessage;
+    recordActivity('replied', userId, {
+      displayName: c.displayName,
+      timestamp: now,
+      waitMs: oldest ? now - oldest.timestamp : null
+    });
+    if (oldest) timeToReplyHistogram.observe((now - oldest.timestamp) / 1000);
+  }
+  c.repliedAt = now;
+  conversations[userId].needsReply = false;
+  conversations[userId].pendingMessages = [];
+  conversations[userId].lastReminderTime = 0;  // リマインダー情報をリセット
+  conversations[userId].reminderCount = 0;     // リマインダー情報をリセット
+  conversations[userId].escalationLevel = null;
+  conversations[userId].snoozedUntil = 0;
+  conversations[userId].securityToken = null;  // 返信済みリンクは使い捨て
+  saveConversation(userId);
+  refreshSlackThread(userId);
+}
+
+// LINEユーザーにプッシュメッセージで返信し、返信済みにする
+async function replyToLineUser(userId, text, sentBy) {
+  await channelOf(userId).client.pushMessage(lineIdOf(userId), { type: 'text', text });
+  const botReply = { text, timestamp: Date.now(), id: null, sentBy };
+  conversations[userId].botReply = botReply;
+  appendMessageHistory(conversations[userId], { from: 'staff', ...botReply });
+  markConversationAsReplied(userId, { by: { actor: sentBy, source: 'slack' } });
+  logDebug(`LINE返信送信: userId=${userId}, sentBy=${sentBy}, text="${text}"`);
+}
+
+// 担当者を設定する（assignee が null なら割り当て解除）
+function assignConversation(userId, assignee, assignedBy) {
+  conversations[userId].assignee = assignee
+    ? { name: assignee.name, slackUserId: assignee.slackUserId || null, assignedAt: Date.now(), assignedBy }
+    : null;
+  saveConversation(userId);
+  refreshSlackThread(userId);
+  logDebug(`担当者設定: userId=${userId}, assignee=${assignee ? assignee.name : 'なし'}, by=${assignedBy}`);
+}
+
+// 指定時刻までリマインダーを止める（終了時は未返信チェックでSlackに通知する）
+// by: 操作者 { actor, source }（snoozedBy には actor を残す）
+function snoozeConversation(userId, until, by) {
+  const snoozedBy = by.actor;
+  conversations[userId].snoozedUntil = until;
+  conversations[userId].snoozedBy = snoozedBy;
+  saveConversation(userId);
+  auditLog.record('snoozed', {
+    conversationKey: userId,
+    displayName: conversations[userId].displayName,
+    ...by,
+    details: { until }
+  });
+  refreshSlackThread(userId);
+  logDebug(`会話スヌーズ: userId=${userId}, until=${new Date(until).toISOString()}, by=${snoozedBy}`);
+}
+
+// 未返信の会話のリマインダーを今すぐ送る（/api/force-remind とスタッフ用コマンド）
+// リマインダー情報は送信できた時点で更新される（失敗したチャネルはアウトボックスから再送）
+// by: 操作者 { actor, source }
+async function forceReminder(userId, by) {
+  const c = conversations[userId];
+  const now = Date.now();
+  const reminderCount = (c.reminderCount || 0) + 1;
+  auditLog.record('forced_reminder', { conversationKey: userId, displayName: c.displayName, ...by, details: { reminderCount } });
+  let customText = `【強制送信】${senderLabel(c, c.userMessage)}からのメッセージ「${c.userMessage.text}」への返信が必要です。`;
+  if (c.pendingMessages && c.pendingMessages.length > 1) {
+    customText = `【強制送信】${senderLabel(c)}からの未返信メッセージ${c.pendingMessages.length}件への返信が必要です。\n${formatPendingMessages(c)}`;
+  }
+
+  const escalationLevel = escalationPolicy.levelFor({
+    reminderCount,
+    elapsedMs: evaluateReminder(userId, c, now).workingElapsedMs
+  });
+  return sendConversationNotification(userId, customText, 'reminder', reminderCount, escalationLevel);
+}
+
+// 会話の優先度（未返信のメッセージの中で最も高いもの）の設定
+function conversationPriority(c) {
+  return priorityClassifier.level(priorityClassifier.highest(c.pendingMessages || []));
+}
+
+// リマインダーを送るべきか（チャネルのリマインダーポリシーに、会話の優先度のリマインダー間隔を反映して判定）
+function evaluateReminder(key, c, now) {
+  const priority = conversationPriority(c);
+  return reminderPolicyFor(key).evaluate(c, now, {
+    firstReminderDelayMinutes: priority.firstReminderDelayMinutes,
+    repeatIntervalMinutes: priority.repeatIntervalMinutes,
+    skipReason: priority.remind ? null : `優先度「${priority.label}」のメッセージだけなのでリマインダーを送りません`
+  });
+}
+
+// スヌーズ期限などをリマインダーポリシーのタイムゾーンで表示する
+function formatLocalTime(ts) {
+  return new Date(ts).toLocaleString('ja-JP', { timeZone: reminderPolicy.options.timezone });
+}
+
 // ---------------------------------------------------
 // 7) LINE Bot 用Webhookエンドポイント
 // ---------------------------------------------------
-app.post('/webhook', (req, res) => {
+// /webhook は先頭のチャネル、/webhook/:channelKey は LINE_CHANNELS の各チャネル
+app.post(['/webhook', '/webhook/:channelKey'], (req, res) => {
+  const channel = channels[req.params.channelKey || PRIMARY_CHANNEL_KEY];
+  if (!channel) {
+    logDebug(`不明なチャネル: ${req.params.channelKey}`);
+    return res.status(404).send('不明なチャネルです');
+  }
+
   const signature = req.headers['x-line-signature'];
   if (!signature) {
     logDebug('署名がありません');
+    webhookSignatureFailuresCounter.inc();
     return res.status(400).send('署名がありません');
   }
 
-  const channelSecret = config.channelSecret;
+  const channelSecret = channel.channelSecret;
   const hmac = crypto.createHmac('SHA256', channelSecret);
   const bodyStr = Buffer.isBuffer(req.body) ? req.body : Buffer.from(JSON.stringify(req.body));
   const digestFromBody = hmac.update(bodyStr).digest('base64');
 
   if (digestFromBody !== signature) {
-    logDebug(`署名不一致: Expected=${digestFromBody}, Received=${signature}`);
+    logDebug(`署名不一致: channel=${channel.key}, Expected=${digestFromBody}, Received=${signature}`);
+    webhookSignatureFailuresCounter.inc();
     return res.status(400).send('署名が一致しません');
   }
 
@@ -157,21 +1032,76 @@ app.post('/webhook', (req, res) => {
 
   res.status(200).end(); // 先に200を返す
 
-  Promise.all(parsedBody.events.map(handleLineEvent))
+  // 同じユーザー（グループ）のイベントは届いた順に1件ずつ処理する。別のユーザーのものは並行して進める
+  const events = [...parsedBody.events].sort((a, b) => (a.timestamp || 0) - (b.timestamp || 0));
+  for (const event of events) {
+    enqueueLineEvent(event, channel);
+  }
+});
+
+// 送信元ごとの処理待ちの末尾 { sourceKey: Promise }
+const lineEventQueues = new Map();
+
+function lineEventSourceKey(event, channel) {
+  const source = event.source || {};
+  return conversationKeys.keyFor(channel.key, source.groupId || source.roomId || source.userId || 'unknown');
+}
+
+function enqueueLineEvent(event, channel) {
+  const key = lineEventSourceKey(event, channel);
+  const previous = lineEventQueues.get(key) || Promise.resolve();
+  const current = previous
+    .then(() => processLineEvent(event, channel))
     .catch(err => {
       console.error('イベント処理エラー:', err);
     });
-});
+  lineEventQueues.set(key, current);
+  // 後ろに続くイベントがなければキューを片付ける
+  current.then(() => {
+    if (lineEventQueues.get(key) === current) lineEventQueues.delete(key);
+  });
+}
+
+// 処理済み・処理中のイベント（LINE の再送や重複）は無視する
+// 処理に失敗したイベントは処理済みにしないので、LINE が再送すれば処理し直す
+async function processLineEvent(event, channel) {
+  const isRedelivery = !!(event.deliveryContext && event.deliveryContext.isRedelivery);
+  const eventId = event.webhookEventId;
+  if (eventId && !eventDeduper.claim(eventId)) {
+    duplicateEventsCounter.inc({ redelivery: String(isRedelivery) });
+    logDebug(`処理済みのイベントのためスキップ: webhookEventId=${eventId}, isRedelivery=${isRedelivery}`);
+    return;
+  }
+  if (isRedelivery) {
+    logDebug(`再送されたイベントを処理: webhookEventId=${eventId}`);
+  }
+  try {
+    await handleLineEvent(event, channel);
+  } catch (error) {
+    if (eventId) eventDeduper.release(eventId);
+    throw error;
+  }
+  if (eventId) eventDeduper.complete(eventId);
+}
 
 // ---------------------------------------------------
 // 8) LINEイベントハンドラー
 // ---------------------------------------------------
-async function handleLineEvent(event) {
-  logDebug(`イベント処理開始: type=${event.type}, webhookEventId=${event.webhookEventId || 'なし'}`);
-  if (event.type !== 'message' || event.message.type !== 'text') return;
+// channel: イベントを受けたLINEチャネル。LINE API はそのチャネルのクライアントで呼び、
+// 会話はチャネルごとのキー（conversationKeys.keyFor）で記録する
+async function handleLineEvent(event, channel) {
+  logDebug(`イベント処理開始: channel=${channel.key}, type=${event.type}, webhookEventId=${event.webhookEventId || 'なし'}`);
+  lineEventsCounter.inc({ type: event.type });
+  if (event.type === 'follow') return handleFollowEvent(event, channel);
+  if (event.type === 'unfollow') return handleUnfollowEvent(event, channel);
+  if (event.type === 'postback') return handlePostbackEvent(event, channel);
+  if (event.type !== 'message') return;
 
+  const client = channel.client;
   const userId = event.source.userId;
-  const messageText = event.message.text;
+  const key = conversationKeys.keyFor(channel.key, userId);
+  // テキスト以外（画像・スタンプ・位置情報など）は要約した文字列で扱う
+  const messageText = summarizeLineMessage(event.message);
   const messageId = event.message.id;
   const timestamp = event.timestamp;
   const isFromUser = !!event.replyToken;
@@ -179,12 +1109,37 @@ async function handleLineEvent(event) {
 
   logDebug(`受信: userId=${userId}, sourceType=${sourceType}, text="${messageText}", isFromUser=${isFromUser}`);
 
-  // グループからのメッセージは無視する（特定のコマンドは処理）
+  // 管理グループ・管理ユーザーからのスタッフ用コマンド（コマンドでなければ通常のメッセージとして続行）
+  if (isFromUser && event.message.type === 'text' && isStaffSource(event.source)) {
+    const reply = await handleStaffCommand(messageText, event, channel);
+    if (reply) return client.replyMessage(event.replyToken, { type: 'text', text: reply });
+  }
+
+  // グループからのメッセージは追跡中のグループだけ処理する（特定のコマンドは常に処理）
   if (sourceType === 'group' || sourceType === 'room') {
+    const groupId = event.source.groupId || event.source.roomId;
+    // 追跡の開始・停止はスタッフ（ADMIN_USER_IDS）だけ
+    const trackingOn = ['track on', 'トラッキング開始'].includes(messageText);
+    const trackingOff = ['track off', 'トラッキング停止'].includes(messageText);
+    if (isFromUser && (trackingOn || trackingOff)) {
+      if (!isAdminUser(userId)) {
+        logDebug(`スタッフ以外からの追跡コマンドを拒否: groupId=${groupId}, userId=${userId}`);
+        return client.replyMessage(event.replyToken, { type: 'text', text: 'このコマンドは利用できません。' });
+      }
+      setGroupTracking(conversationKeys.keyFor(channel.key, groupId), trackingOn, userId);
+      return client.replyMessage(event.replyToken, {
+        type: 'text',
+        text: trackingOn
+          ? 'このグループのメッセージの追跡を開始しました。メンションまたはキーワードを含むメッセージを未返信として扱います。'
+          : 'このグループのメッセージの追跡を停止しました。'
+      });
+    }
     // 特定のコマンドのみ処理
-    if (['ステータス', 'status', 'デバッグログ', 'debuglog'].includes(messageText)) {
+    if (['ステータス', 'status'].includes(messageText)) {
       logDebug(`グループ/ルームからのコマンド: ${messageText}`);
       // コマンド処理は続行
+    } else if (isGroupTracked(conversationKeys.keyFor(channel.key, groupId))) {
+      return handleTrackedGroupMessage(event, groupId, channel);
     } else {
       logDebug(`グループ/ルームからの通常メッセージのため処理をスキップ: ${sourceType}`);
       return;
@@ -192,94 +1147,543 @@ async function handleLineEvent(event) {
   }
 
   // プロフィール取得
-  let displayName = 'Unknown User';
-  try {
-    if (event.source.type === 'room') {
-      const profile = await client.getRoomMemberProfile(event.source.roomId, userId);
-      displayName = profile.displayName || 'Unknown User';
-    } else if (event.source.type === 'group') {
-      const profile = await client.getGroupMemberProfile(event.source.groupId, userId);
-      displayName = profile.displayName || 'Unknown User';
-    } else {
-      const profile = await client.getProfile(userId);
-      displayName = profile.displayName || 'Unknown User';
-    }
-  } catch (error) {
-    logDebug(`プロフィール取得失敗: ${error.message}`);
-  }
+  const displayName = await fetchDisplayName(client, event.source, userId);
 
   // 特殊コマンド判定
   if (isFromUser) {
     if (['ステータス', 'status'].includes(messageText)) {
-      const c = conversations[userId];
+      const c = conversations[key];
       let statusMessage = c && c.needsReply
-        ? `未返信です。\n最後のメッセージ: "${c.userMessage.text}"\n時間: ${new Date(c.userMessage.timestamp).toLocaleString('ja-JP')}`
+        ? `未返信です。\n最後のメッセージ: "${c.userMessage.text}"\n時間: ${formatLocalTime(c.userMessage.timestamp)}`
         : '返信済みです。';
       if (c && c.botReply) {
-        statusMessage += `\n最後の返信: "${c.botReply.text}"\n時間: ${new Date(c.botReply.timestamp).toLocaleString('ja-JP')}`;
+        statusMessage += `\n最後の返信: "${c.botReply.text}"\n時間: ${formatLocalTime(c.botReply.timestamp)}`;
       }
       return client.replyMessage(event.replyToken, { type: 'text', text: statusMessage });
     }
+    // デバッグログはスタッフ用コマンド。お客様には見せない
     if (['デバッグログ', 'debuglog'].includes(messageText)) {
-      const pendingCount = Object.values(conversations).filter(c => c.needsReply).length;
-      const logPreview = debugLogs.slice(0, 5).join('\n');
-      return client.replyMessage(event.replyToken, { type: 'text', text: `未返信ユーザー数: ${pendingCount}\n最新ログ:\n${logPreview}` });
+      logDebug(`スタッフ用コマンドを拒否: userId=${userId}, text="${messageText}"`);
+      return client.replyMessage(event.replyToken, { type: 'text', text: 'このコマンドは利用できません。' });
     }
   }
 
   // 通常のメッセージの場合、会話状態を更新し新着メッセージ用のSlack通知を送信
   // グループメッセージは上で既にフィルターされているので、ここでの sourceType チェックは不要
   if (isFromUser) {
-    // セキュリティトークンを生成
-    const securityToken = generateSecurityToken();
-    
-    if (!conversations[userId]) {
-      conversations[userId] = {
-        userMessage: { text: messageText, timestamp, id: messageId },
-        botReply: null,
-        needsReply: true,
-        displayName,
-        sourceType,
-        lastReminderTime: 0,     // 最後にリマインダーを送信した時間（初期値：0）
-        reminderCount: 0,        // リマインダーの送信回数（初期値：0）
-        securityToken            // セキュリティトークン
-      };
-      logDebug(`新規会話作成: userId=${userId}, text="${messageText}"`);
-    } else {
-      conversations[userId].userMessage = { text: messageText, timestamp, id: messageId };
-      conversations[userId].needsReply = true;
-      conversations[userId].lastReminderTime = 0; // 新しいメッセージでリセット
-      conversations[userId].reminderCount = 0;    // 新しいメッセージでリセット
-      conversations[userId].securityToken = securityToken; // セキュリティトークン更新
-      logDebug(`既存会話更新: userId=${userId}, text="${messageText}"`);
-    }
+    const media = await saveMessageContent(client, event.message);
+    const { priority, rule: priorityRule } = priorityClassifier.classify(event.message);
+    logDebug(`優先度: key=${key}, priority=${priority}, rule=${priorityRule || 'なし'}`);
+    const userMessage = { text: messageText, timestamp, id: messageId, type: event.message.type, media, priority };
+    const c = recordIncomingMessage(key, userMessage, { displayName, sourceType });
+    if (!c) return;
+    const pendingCount = c.pendingMessages.length;
+    const autoReply = await sendAutoReply(event, key, channel, { displayName, isFirstPending: pendingCount === 1 });
+
     // 新着メッセージ用のインタラクティブ通知（即時送信）
-    const customText = `【${displayName}】からのメッセージ：「${messageText}」`;
-    await sendSlackInteractiveNotification(userId, customText);
+    let customText = `【${displayName}】からのメッセージ：「${messageText}」`;
+    if (media) {
+      customText += `\n<${mediaStore.signedUrl(media, APP_BASE_URL)}|${escapeSlackLinkText(media.originalName)} を開く>（${MEDIA_RETENTION_HOURS}時間保存）`;
+    }
+    if (autoReply) {
+      customText += `\n${formatAutoReplyLabel(autoReply)}：「${autoReply.text}」`;
+    }
+    // 自動応答で対応済みにした場合は返信不要なのでボタンなしのお知らせにする（他にも未返信があれば閉じない）
+    // スタッフの返信ではないので、サマリーの返信件数・返信時間には数えない
+    if (autoReply && autoReply.markHandled && pendingCount === 1) {
+      markConversationAsReplied(key, { countAsReply: false, by: { actor: `自動応答（${autoReply.rule}）`, source: 'system' } });
+      await sendTextNotification(`${customText}\n自動応答で対応済みにしました`, '自動応答', channel.key);
+      return;
+    }
+    if (pendingCount > 1) {
+      customText += `\n未返信のメッセージが${pendingCount}件あります:\n${formatPendingMessages(c)}`;
+    }
+    await sendConversationNotification(key, customText);
+  }
+}
+
+// 自動応答（よくある質問への回答・営業時間外のご案内）を replyToken で送り、会話に記録する
+// 1対1 のトークだけが対象。送った自動応答を返す（送らなかった・送れなかったら null）
+async function sendAutoReply(event, key, channel, { displayName, isFirstPending }) {
+  if (event.source.type !== 'user') return null;
+  const autoReply = channel.autoReplier.decide({
+    message: { text: event.message.text || '', isText: event.message.type === 'text' },
+    displayName,
+    isFirstPending,
+    now: Date.now()
+  });
+  if (!autoReply) return null;
+  try {
+    await channel.client.replyMessage(event.replyToken, { type: 'text', text: autoReply.text });
+  } catch (error) {
+    logDebug(`自動応答の送信失敗: key=${key}, kind=${autoReply.kind}, error=${error.message}`);
+    return null;
+  }
+  const c = conversations[key];
+  const timestamp = Date.now();
+  c.autoReply = { kind: autoReply.kind, rule: autoReply.rule, text: autoReply.text, timestamp };
+  appendMessageHistory(c, { from: 'staff', text: autoReply.text, timestamp, id: null, sentBy: formatAutoReplyLabel(autoReply), auto: true });
+  saveConversation(key);
+  logDebug(`自動応答送信: key=${key}, kind=${autoReply.kind}, rule=${autoReply.rule || 'なし'}`);
+  return autoReply;
+}
+
+function formatAutoReplyLabel(autoReply) {
+  return autoReply.kind === 'faq' ? `🤖 自動応答（${autoReply.rule}）` : '🤖 自動応答（営業時間外のご案内）';
+}
+
+// 画像・動画・音声・ファイルの中身を保存する（対象外や失敗時は null）
+async function saveMessageContent(client, message) {
+  if (!hasMessageContent(message)) return null;
+  try {
+    const stream = await client.getMessageContent(message.id);
+    const media = await mediaStore.save(message, stream);
+    logDebug(`メディア保存: messageId=${message.id}, file=${media.fileName}, size=${media.size}`);
+    return media;
+  } catch (error) {
+    logDebug(`メディア取得失敗: messageId=${message.id}, error=${error.message}`);
+    return null;
+  }
+}
+
+// 送信者の表示名を取得する
+async function fetchDisplayName(client, source, userId) {
+  try {
+    if (source.type === 'room') {
+      const profile = await client.getRoomMemberProfile(source.roomId, userId);
+      return profile.displayName || 'Unknown User';
+    } else if (source.type === 'group') {
+      const profile = await client.getGroupMemberProfile(source.groupId, userId);
+      return profile.displayName || 'Unknown User';
+    }
+    const profile = await client.getProfile(userId);
+    return profile.displayName || 'Unknown User';
+  } catch (error) {
+    logDebug(`プロフィール取得失敗: ${error.message}`);
+    return 'Unknown User';
+  }
+}
+
+// 受信メッセージを会話に記録する（会話がなければ作成）。key は userId または groupId/roomId から作った会話のキー
+// 記録済みのメッセージ（webhookEventId の違う再送など）なら何もせずに null を返す
+function recordIncomingMessage(key, userMessage, { displayName, sourceType }) {
+  const messageText = userMessage.text;
+  const existing = conversations[key];
+  if (existing && userMessage.id != null
+    && [...existing.pendingMessages, ...(existing.messages || [])].some(m => m.id === userMessage.id)) {
+    logDebug(`記録済みのメッセージのため無視: key=${key}, id=${userMessage.id}`);
+    return null;
+  }
+  if (!conversations[key]) {
+    conversations[key] = {
+      userMessage,
+      pendingMessages: [userMessage],
+      messages: [{ from: 'user', ...userMessage }],
+      botReply: null,
+      needsReply: true,
+      displayName,
+      sourceType,
+      lastReminderTime: 0,     // 最後にリマインダーを送信した時間（初期値：0）
+      reminderCount: 0,        // リマインダーの送信回数（初期値：0）
+      snoozedUntil: 0,         // スヌーズ期限（初期値：0）
+      assignee: null,          // 担当者（初期値：なし）
+      securityToken: null      // セキュリティトークン（下で発行）
+    };
+    issueSecurityToken(conversations[key]);
+    logDebug(`新規会話作成: key=${key}, text="${messageText}"`);
+    if (AUTO_ASSIGN === 'round_robin') {
+      const member = roundRobinAssigner.next();
+      if (member) {
+        assignConversation(key, member, 'round_robin');
+        saveSetting('roundRobinIndex', roundRobinAssigner.nextIndex);
+      }
+    }
+  } else {
+    const c = conversations[key];
+    // 未返信のまま追加で届いた場合は、最初のメッセージからリマインダーの計測を続ける
+    if (!c.needsReply) {
+      c.pendingMessages = [];
+      c.lastReminderTime = 0; // 新しいメッセージでリセット
+      c.reminderCount = 0;    // 新しいメッセージでリセット
+      c.escalationLevel = null;
+      c.snoozedUntil = 0;     // 新しいメッセージでリセット
+    }
+    // 再送などで古いメッセージが後から届いた場合は、時刻順の位置に入れて最新のメッセージは上書きしない
+    if (!c.userMessage || userMessage.timestamp >= c.userMessage.timestamp) {
+      c.userMessage = userMessage;
+    }
+    insertByTimestamp(c.pendingMessages, userMessage);
+    appendMessageHistory(c, { from: 'user', ...userMessage });
+    c.needsReply = true;
+    issueSecurityToken(c); // セキュリティトークン更新
+    c.displayName = displayName;
+    logDebug(`既存会話更新: key=${key}, text="${messageText}", 未返信=${c.pendingMessages.length}件`);
+  }
+  saveConversation(key);
+  recordActivity('received', key, { displayName, timestamp: userMessage.timestamp });
+  auditLog.record('received', {
+    conversationKey: key,
+    displayName,
+    actor: userMessage.senderId || lineIdOf(key),
+    source: 'line',
+    timestamp: userMessage.timestamp,
+    details: { messageId: userMessage.id, type: userMessage.type, priority: userMessage.priority || 'normal' }
+  });
+  refreshSlackThread(key);
+  return conversations[key];
+}
+
+// ---------------------------------------------------
+// 8-2) 追跡中のグループ/トークルームのメッセージ
+// ---------------------------------------------------
+
+// ボットへのメンションまたはキーワードを含むメッセージだけを未返信として扱う
+function needsReplyInGroup(message) {
+  const mentionees = message.mention && Array.isArray(message.mention.mentionees) ? message.mention.mentionees : [];
+  if (mentionees.some(m => m.isSelf)) return true;
+  if (message.type !== 'text') return false;
+  return GROUP_TRACKING_KEYWORDS.some(keyword => message.text.includes(keyword));
+}
+
+async function fetchGroupName(client, source) {
+  if (source.type !== 'group') return 'トークルーム';
+  try {
+    const summary = await client.getGroupSummary(source.groupId);
+    return summary.groupName || 'Unknown Group';
+  } catch (error) {
+    logDebug(`グループ情報取得失敗: ${error.message}`);
+    return 'Unknown Group';
+  }
+}
+
+async function handleTrackedGroupMessage(event, groupId, channel) {
+  if (!needsReplyInGroup(event.message)) {
+    logDebug(`追跡中グループの返信不要メッセージ: groupId=${groupId}`);
+    return;
+  }
+
+  const senderId = event.source.userId;
+  const senderName = await fetchDisplayName(channel.client, event.source, senderId);
+  const groupName = await fetchGroupName(channel.client, event.source);
+  const key = conversationKeys.keyFor(channel.key, groupId);
+  const userMessage = {
+    text: event.message.text,
+    type: event.message.type,
+    timestamp: event.timestamp,
+    id: event.message.id,
+    senderId,
+    senderName,
+    priority: priorityClassifier.classify(event.message).priority
+  };
+  const c = recordIncomingMessage(key, userMessage, { displayName: groupName, sourceType: event.source.type });
+  if (!c) return;
+
+  let customText = `${senderLabel(c, userMessage)}からのメッセージ：「${userMessage.text}」`;
+  if (c.pendingMessages.length > 1) {
+    customText += `\n未返信のメッセージが${c.pendingMessages.length}件あります:\n${formatPendingMessages(c)}`;
+  }
+  await sendConversationNotification(key, customText);
+}
+
+// ---------------------------------------------------
+// 8-3) 友だち追加・ブロック・ポストバック
+// ---------------------------------------------------
+
+// 友だち追加（ブロック解除を含む）: あいさつを返し、Slackに知らせる
+// あいさつはチャネルの welcomeMessage、なければ WELCOME_MESSAGE
+async function handleFollowEvent(event, channel) {
+  const userId = event.source.userId;
+  const key = conversationKeys.keyFor(channel.key, userId);
+  const displayName = await fetchDisplayName(channel.client, event.source, userId);
+  logDebug(`友だち追加: channel=${channel.key}, userId=${userId}, displayName=${displayName}`);
+
+  if (conversations[key] && conversations[key].unfollowedAt) {
+    conversations[key].unfollowedAt = null;
+    saveConversation(key);
+  }
+  const welcomeMessage = channel.welcomeMessage != null ? channel.welcomeMessage : WELCOME_MESSAGE;
+  if (welcomeMessage) {
+    try {
+      await channel.client.replyMessage(event.replyToken, { type: 'text', text: welcomeMessage });
+    } catch (error) {
+      logDebug(`あいさつ送信失敗: userId=${userId}, error=${error.message}`);
+    }
+  }
+  await sendTextNotification(`🎉 *新しい友だち*：${displayName}さんが友だち追加しました`, '新しい友だち', channel.key);
+}
+
+// ブロック: 未返信の会話を閉じてリマインダーを止め、Slackに知らせる
+// （ブロック後はプロフィールを取得できないので保存済みの表示名を使う）
+async function handleUnfollowEvent(event, channel) {
+  const userId = event.source.userId;
+  const key = conversationKeys.keyFor(channel.key, userId);
+  const c = conversations[key];
+  const displayName = c ? c.displayName : userId;
+  logDebug(`ブロック: channel=${channel.key}, userId=${userId}`);
+
+  let closedText = '';
+  if (c) {
+    if (c.needsReply) {
+      closedText = `\n未返信だったメッセージ${c.pendingMessages.length}件の会話を閉じました:\n${formatPendingMessages(c)}`;
+      markConversationAsReplied(key, { countAsReply: false, by: { actor: userId, source: 'line' } });
+    }
+    c.unfollowedAt = event.timestamp;
+    saveConversation(key);
+  }
+  await sendTextNotification(`🚫 *ブロックされました*：${displayName}さん${closedText}`, 'ブロックされました', channel.key);
+}
+
+// リッチメニューなどのポストバック。data は "action=callback_request&topic=..." の形式で、
+// action ごとに postbackHandlers の関数へ振り分ける
+const postbackHandlers = {
+  // 折り返し連絡の依頼: 未返信の会話として記録してSlackに通知する
+  async callback_request(event, params, channel) {
+    const userId = event.source.userId;
+    const key = conversationKeys.keyFor(channel.key, userId);
+    const displayName = await fetchDisplayName(channel.client, event.source, userId);
+    // 日時選択アクションから来た場合は希望日時が入っている
+    const preferred = event.postback.params && (event.postback.params.datetime || event.postback.params.date || event.postback.params.time);
+    const details = [params.get('topic'), preferred ? `希望日時: ${preferred}` : null].filter(Boolean).join(' / ');
+    const text = `[折り返し連絡の依頼]${details ? ` ${details}` : ''}`;
+
+    const c = recordIncomingMessage(key, { text, timestamp: event.timestamp, id: event.webhookEventId || null, type: 'postback' },
+      { displayName, sourceType: event.source.type });
+    if (!c) return;
+    // スタッフへの通知を先に送る（返信トークンの期限切れなどで LINE への返信に失敗しても依頼は伝わるように）
+    await sendConversationNotification(key, `【${displayName}】から折り返し連絡の依頼：「${text}」`);
+    try {
+      await channel.client.replyMessage(event.replyToken, { type: 'text', text: '折り返しのご連絡を承りました。担当者よりご連絡いたします。' });
+    } catch (error) {
+      logDebug(`折り返し依頼への返信失敗: key=${key}, error=${error.message}`);
+    }
+  }
+};
+
+async function handlePostbackEvent(event, channel) {
+  const params = new URLSearchParams(event.postback.data);
+  const action = params.get('action');
+  logDebug(`ポストバック受信: userId=${event.source.userId}, action=${action}, data="${event.postback.data}"`);
+
+  const handler = postbackHandlers[action];
+  if (!handler) {
+    logDebug(`未対応のポストバック: action=${action}`);
+    return;
+  }
+  try {
+    await handler(event, params, channel);
+  } catch (error) {
+    logDebug(`ポストバック処理エラー: action=${action}, error=${error.message}`);
   }
 }
 
+// ---------------------------------------------------
+// 8-4) スタッフ用コマンド（ADMIN_GROUP_IDS のグループ/トークルーム、ADMIN_USER_IDS のユーザーとの 1対1 のトークのみ）
+// ---------------------------------------------------
+// 一覧 / list                       未返信の会話を番号つきで表示（番号は直前の一覧のもの）
+// 返信済み <番号|名前> / done        返信済みにする
+// スヌーズ <番号|名前> [1h|3h|tomorrow|next_monday] / snooze（省略時は 1h）
+// リマインド <番号|名前> / remind     リマインダーを今すぐ送る
+// 今日 / stats                       今日の受信・返信・未返信の件数
+// デバッグログ / debuglog             最新のログ
+// ヘルプ / help
+// 対象はコマンドを受けたLINEチャネルの会話だけ
+
+const STAFF_HELP_TEXT = [
+  'スタッフ用コマンド:',
+  '一覧 … 未返信の会話',
+  '返信済み <番号|名前> … 返信済みにする',
+  `スヌーズ <番号|名前> [${snoozePresets.presets.map(p => p.key).join('|')}] … スヌーズ（省略時は1時間）`,
+  'リマインド <番号|名前> … リマインダーを今すぐ送る',
+  '今日 … 今日の集計',
+  'デバッグログ … 最新のログ'
+].join('\n');
+
+// 直前の一覧 { 送信元: [会話のキー] }（番号での指定に使う）
+const staffListings = new Map();
+
+function isAdminUser(userId) {
+  return !!userId && ADMIN_USER_IDS.includes(userId);
+}
+
+// グループ/トークルームでは管理グループのときだけ。ADMIN_USER_IDS のユーザーでも、お客さまのグループでは
+// 一覧などで他の会話の内容を出さないよう、スタッフ用コマンドは 1対1 のトークに限る
+function isStaffSource(source) {
+  if (source.type === 'group' || source.type === 'room') {
+    return ADMIN_GROUP_IDS.includes(source.groupId || source.roomId);
+  }
+  return source.type === 'user' && isAdminUser(source.userId);
+}
+
+function staffListingKey(source) {
+  return source.groupId || source.roomId || source.userId;
+}
+
+// チャネルの未返信の会話（待ち時間の長い順）
+function pendingConversationKeys(channelKey) {
+  const oldestOf = c => (c.pendingMessages.length > 0 ? c.pendingMessages[0] : c.userMessage).timestamp;
+  return Object.keys(conversations)
+    .filter(key => isInChannel(key, channelKey) && conversations[key].needsReply && conversations[key].userMessage
+      && isReminderTarget(key, conversations[key]))
+    .sort((a, b) => oldestOf(conversations[a]) - oldestOf(conversations[b]));
+}
+
+// 番号（直前の一覧）または userId・表示名から会話を探す
+function resolveStaffTarget(query, source, channelKey) {
+  if (!query) return { error: '番号か名前を指定してください' };
+  if (/^\d+$/.test(query)) {
+    const listing = staffListings.get(staffListingKey(source)) || pendingConversationKeys(channelKey);
+    const key = listing[Number(query) - 1];
+    if (!key || !conversations[key]) return { error: `${query}番の会話が見つかりません。「一覧」で確認してください` };
+    return { userId: key };
+  }
+  return findConversationUserId(query, channelKey);
+}
+
+function formatStaffListing(keys, now) {
+  if (keys.length === 0) return '未返信の会話はありません';
+  const lines = keys.map((key, i) => {
+    const c = conversations[key];
+    const oldest = c.pendingMessages.length > 0 ? c.pendingMessages[0] : c.userMessage;
+    const snoozed = c.snoozedUntil && c.snoozedUntil > now ? ' ⏰スヌーズ中' : '';
+    return `${i + 1}. ${senderLabel(c)}（${formatAssignee(c.assignee)}）${Math.floor((now - oldest.timestamp) / 60000)}分待ち${snoozed}\n「${c.userMessage.text}」`;
+  });
+  return `未返信の会話 ${keys.length}件:\n${lines.join('\n')}`;
+}
+
+// 今日（チャネルのリマインダーポリシーのタイムゾーン）の集計
+function formatTodayStats(channel, now) {
+  const channelKey = channel.key;
+  const since = getZonedParts(now, channel.reminderPolicy.options.timezone).dayStart;
+  const keys = pendingConversationKeys(channelKey);
+  const digest = buildDigest({
+    activities: Object.values(activities).filter(a => isInChannel(a.key, channelKey)),
+    pending: keys.map(key => {
+      const c = conversations[key];
+      return { key, displayName: c.displayName, waitingSince: (c.pendingMessages[0] || c.userMessage).timestamp };
+    }),
+    since,
+    now
+  });
+  return formatDigestMessage(digest, { title: '今日の集計', formatTime: formatLocalTime }).replace(/\*/g, '');
+}
+
+// コマンドなら返信する文字列、コマンドでなければ null
+async function handleStaffCommand(text, event, channel) {
+  const [command, target, option] = text.trim().split(/\s+/);
+  const actor = `LINE:${event.source.userId || '不明'}`;
+  const staff = { actor, source: 'line' };
+  const now = Date.now();
+
+  if (['一覧', 'list'].includes(command)) {
+    const keys = pendingConversationKeys(channel.key);
+    staffListings.set(staffListingKey(event.source), keys);
+    return formatStaffListing(keys, now);
+  }
+  if (['今日', 'stats'].includes(command)) {
+    return formatTodayStats(channel, now);
+  }
+  if (['デバッグログ', 'debuglog'].includes(command)) {
+    return `未返信の会話: ${pendingConversationKeys(channel.key).length}件\n最新ログ:\n${debugLogs.slice(0, 5).join('\n')}`;
+  }
+  if (['ヘルプ', 'help'].includes(command)) {
+    return STAFF_HELP_TEXT;
+  }
+  if (!['返信済み', 'done', 'スヌーズ', 'snooze', 'リマインド', 'remind'].includes(command)) {
+    return null;
+  }
+
+  const found = resolveStaffTarget(target, event.source, channel.key);
+  if (found.error) return `⚠️ ${found.error}`;
+  const userId = found.userId;
+  const c = conversations[userId];
+  logDebug(`スタッフ用コマンド: command=${command}, userId=${userId}, actor=${actor}`);
+
+  if (['返信済み', 'done'].includes(command)) {
+    if (!c.needsReply) return `${senderLabel(c)}は返信済みです`;
+    markConversationAsReplied(userId, { by: staff });
+    return `✅ ${senderLabel(c)}を返信済みにしました`;
+  }
+  if (!c.needsReply) return `${senderLabel(c)}には未返信のメッセージがありません`;
+  if (['スヌーズ', 'snooze'].includes(command)) {
+    const until = snoozePresets.resolve(option || '1h', now);
+    if (!until) return `⚠️ スヌーズの指定は ${snoozePresets.presets.map(p => p.key).join(' / ')} のいずれかです`;
+    snoozeConversation(userId, until, staff);
+    return `⏰ ${senderLabel(c)}を ${formatLocalTime(until)} までスヌーズしました`;
+  }
+  const deliveries = await forceReminder(userId, staff);
+  return deliveries.some(d => d.ok)
+    ? `🔔 ${senderLabel(c)}のリマインダーを送信しました`
+    : `⚠️ ${senderLabel(c)}のリマインダーを送信できませんでした（再送を予約しました）`;
+}
+
 // ---------------------------------------------------
 // 9) 確認ページ表示エンドポイント（新設）
 // ---------------------------------------------------
-app.get('/api/mark-as-replied-confirm', (req, res) => {
+
+// 返信済みリンク（確認ページ）からの操作者。リンクを開いた人は特定できないのでIPアドレスを残す
+function webActor(req) {
+  return { actor: `web（${req.ip}）`, source: 'web' };
+}
+
+// userId と token を検証する。問題があればエラーを返して null を返す
+function verifyConversationToken(req, res) {
   const { userId, token } = req.query;
   if (!userId || !token) {
-    return res.send('エラー: 必須パラメータが不足しています');
+    res.send('エラー: 必須パラメータが不足しています');
+    return null;
   }
   
   if (!conversations[userId]) {
-    return res.send('エラー: 該当のユーザーが見つかりません');
+    res.send('エラー: 該当のユーザーが見つかりません');
+    return null;
   }
   
-  // トークン検証
-  if (conversations[userId].securityToken !== token) {
-    logDebug(`トークン不一致: userId=${userId}, expected=${conversations[userId].securityToken}, received=${token}`);
-    return res.send('エラー: セキュリティトークンが無効です');
+  // トークン検証（返信済みにして使用済みになったトークンも無効）
+  const c = conversations[userId];
+  if (!c.securityToken || !safeEqual(c.securityToken, token)) {
+    logDebug(`トークン不一致: userId=${userId}, received=${maskToken(String(token))}`);
+    auditLog.record('token_failure', {
+      conversationKey: userId,
+      displayName: c.displayName,
+      ...webActor(req),
+      details: { reason: c.securityToken ? 'mismatch' : 'used', path: req.path }
+    });
+    res.send('エラー: セキュリティトークンが無効です（すでに返信済みにされたか、新しい通知のリンクを使ってください）');
+    return null;
+  }
+  if (!c.securityTokenIssuedAt || Date.now() - c.securityTokenIssuedAt > SECURITY_TOKEN_TTL_HOURS * 60 * 60 * 1000) {
+    logDebug(`トークン期限切れ: userId=${userId}`);
+    auditLog.record('token_failure', { conversationKey: userId, displayName: c.displayName, ...webActor(req), details: { reason: 'expired', path: req.path } });
+    res.send('エラー: セキュリティトークンの有効期限が切れています。新しい通知のリンクを使ってください');
+    return null;
   }
+  return userId;
+}
+
+app.get('/api/mark-as-replied-confirm', (req, res) => {
+  const userId = verifyConversationToken(req, res);
+  if (!userId) return;
+  const { token } = req.query;
   
   const displayName = conversations[userId].displayName || 'Unknown User';
-  const messageText = conversations[userId].userMessage ? conversations[userId].userMessage.text : '';
+  const pendingMessages = conversations[userId].pendingMessages || [];
+  const messageItems = pendingMessages
+    .map(m => `<li>${escapeHtml(m.text)}${m.media ? ` <a href="${escapeHtml(mediaStore.signedUrl(m.media))}" target="_blank">開く</a>` : ''} <span class="time">${formatLocalTime(m.timestamp)}</span></li>`)
+    .join('');
+  const assignee = conversations[userId].assignee;
+  // 担当者一覧があれば選択式、なければ自由入力
+  const assigneeInput = TEAM_MEMBERS.length > 0
+    ? `<select name="assignee"><option value="">（割り当てなし）</option>${TEAM_MEMBERS
+      .map(m => `<option value="${escapeHtml(m.name)}"${assignee && assignee.name === m.name ? ' selected' : ''}>${escapeHtml(m.name)}</option>`)
+      .join('')}</select>`
+    : `<input type="text" name="assignee" placeholder="担当者名" value="${escapeHtml(assignee ? assignee.name : '')}">`;
+  const snoozedUntil = conversations[userId].snoozedUntil;
+  const snoozeStatus = snoozedUntil && snoozedUntil > Date.now()
+    ? `${formatLocalTime(snoozedUntil)} までスヌーズ中`
+    : 'スヌーズしていません';
+  const snoozeButtons = snoozePresets.presets
+    .map(p => `<button type="submit" name="preset" value="${p.key}">${p.label}</button>`)
+    .join('');
   
   // 確認ページをレンダリング
   res.send(`
@@ -291,88 +1695,341 @@ app.get('/api/mark-as-replied-confirm', (req, res) => {
       <title>返信済み確認</title>
       <style>
         body { font-family: sans-serif; max-width: 500px; margin: 0 auto; padding: 20px; text-align: center; }
-        .message { margin: 20px 0; padding: 15px; background: #f5f5f5; border-radius: 8px; }
-        .confirm { margin: 30px 0; }
-        .btn { display: inline-block; padding: 10px 20px; background: #4CAF50; color: white; text-decoration: none; border-radius: 4px; font-weight: bold; }
-        .btn:hover { background: #45a049; }
-        .back { margin-top: 20px; color: #666; }
+        .message { margin: 20px 0; padding: 15px; background: #f5f5f5; border-radius: 8px; }
+        .message ul { text-align: left; padding-left: 20px; }
+        .message .time { color: #999; font-size: 12px; }
+        .confirm { margin: 30px 0; }
+        .btn { display: inline-block; padding: 10px 20px; background: #4CAF50; color: white; text-decoration: none; border-radius: 4px; font-weight: bold; }
+        .btn:hover { background: #45a049; }
+        .back { margin-top: 20px; color: #666; }
+        .assign { margin: 20px 0; padding: 15px; border: 1px solid #ddd; border-radius: 8px; }
+        .assign select, .assign input { padding: 6px; margin-right: 8px; }
+        .snooze { margin: 20px 0; padding: 15px; border: 1px solid #ddd; border-radius: 8px; }
+        .snooze button { margin: 4px; padding: 6px 12px; }
+        .snooze input { padding: 6px; }
+        .snooze .time { color: #999; font-size: 12px; }
+      </style>
+    </head>
+    <body>
+      <h2>返信済みにする確認</h2>
+      <p>以下のメッセージを返信済みにしますか？</p>
+      <div class="message">
+        ${lineChannels.length > 1 ? `<p><strong>LINEアカウント:</strong> ${escapeHtml(channelOf(userId).name)}</p>` : ''}
+        <p><strong>ユーザー:</strong> ${escapeHtml(displayName)}</p>
+        <p><strong>未返信のメッセージ（${pendingMessages.length}件）:</strong></p>
+        <ul>${messageItems}</ul>
+      </div>
+      <div class="confirm">
+        <a href="/api/mark-as-replied-web?userId=${encodeURIComponent(userId)}&token=${encodeURIComponent(token)}" class="btn">はい、返信済みにする</a>
+      </div>
+      <div class="assign">
+        <p><strong>担当:</strong> ${escapeHtml(formatAssignee(assignee))}</p>
+        <form action="/api/assign-web" method="get">
+          <input type="hidden" name="userId" value="${escapeHtml(userId)}">
+          <input type="hidden" name="token" value="${escapeHtml(token)}">
+          ${assigneeInput}
+          <button type="submit">担当者を設定</button>
+        </form>
+      </div>
+      <div class="snooze">
+        <p><strong>スヌーズ:</strong> ${snoozeStatus}</p>
+        <form action="/api/snooze-web" method="get">
+          <input type="hidden" name="userId" value="${escapeHtml(userId)}">
+          <input type="hidden" name="token" value="${escapeHtml(token)}">
+          <div>${snoozeButtons}</div>
+        </form>
+        <form action="/api/snooze-web" method="get">
+          <input type="hidden" name="userId" value="${escapeHtml(userId)}">
+          <input type="hidden" name="token" value="${escapeHtml(token)}">
+          <input type="datetime-local" name="until" required>
+          <button type="submit">この日時までスヌーズ</button>
+        </form>
+        <p class="time">時刻は ${reminderPolicy.options.timezone} として扱います</p>
+      </div>
+      <div class="back">
+        <a href="javascript:window.close()">キャンセル</a>
+      </div>
+    </body>
+    </html>
+  `);
+});
+
+// ---------------------------------------------------
+// 10) Web用返信済みマーク設定エンドポイント（トークン検証付き）
+// ---------------------------------------------------
+app.get('/api/mark-as-replied-web', (req, res) => {
+  const userId = verifyConversationToken(req, res);
+  if (!userId) return;
+  
+  try {
+    markConversationAsReplied(userId, { by: webActor(req) });
+    logDebug(`会話更新（Web経由）: userId=${userId} を返信済みに設定`);
+    
+    // 成功ページをレンダリング
+    res.send(`
+      <!DOCTYPE html>
+      <html>
+      <head>
+        <meta charset="utf-8">
+        <meta name="viewport" content="width=device-width, initial-scale=1">
+        <title>返信済みに設定しました</title>
+        <style>
+          body { font-family: sans-serif; max-width: 500px; margin: 0 auto; padding: 20px; text-align: center; }
+          .success { color: #4CAF50; font-size: 24px; margin: 20px 0; }
+          .info { margin: 20px 0; color: #555; }
+        </style>
+      </head>
+      <body>
+        <div class="success">✅ 返信済みに設定しました</div>
+        <div class="info">このウィンドウは閉じて構いません</div>
+      </body>
+      </html>
+    `);
+  } catch (error) {
+    logDebug(`Web経由の返信済み処理エラー: ${error.message}`);
+    res.send('エラー: 処理中に問題が発生しました');
+  }
+});
+
+// Web用担当者設定エンドポイント（確認ページのフォームから）
+app.get('/api/assign-web', (req, res) => {
+  const userId = verifyConversationToken(req, res);
+  if (!userId) return;
+  
+  const name = (req.query.assignee || '').trim();
+  const assignee = name ? resolveTeamMember(TEAM_MEMBERS, { name }) : null;
+  assignConversation(userId, assignee, 'web');
+  
+  res.send(`
+    <!DOCTYPE html>
+    <html>
+    <head>
+      <meta charset="utf-8">
+      <meta name="viewport" content="width=device-width, initial-scale=1">
+      <title>担当者を設定しました</title>
+      <style>
+        body { font-family: sans-serif; max-width: 500px; margin: 0 auto; padding: 20px; text-align: center; }
+        .success { color: #4CAF50; font-size: 24px; margin: 20px 0; }
+        .info { margin: 20px 0; color: #555; }
+      </style>
+    </head>
+    <body>
+      <div class="success">👤 担当者を「${escapeHtml(formatAssignee(assignee))}」に設定しました</div>
+      <div class="info"><a href="/api/mark-as-replied-confirm?userId=${encodeURIComponent(userId)}&token=${encodeURIComponent(req.query.token)}">確認ページに戻る</a></div>
+    </body>
+    </html>
+  `);
+});
+
+// Web用スヌーズエンドポイント（確認ページのプリセット／日時指定から）
+app.get('/api/snooze-web', (req, res) => {
+  const userId = verifyConversationToken(req, res);
+  if (!userId) return;
+  
+  const now = Date.now();
+  const until = req.query.preset
+    ? snoozePresets.resolve(req.query.preset, now)
+    : snoozePresets.parseCustom(req.query.until);
+  if (!until || until <= now) {
+    return res.send('エラー: スヌーズの日時が不正です（未来の日時を指定してください）');
+  }
+  snoozeConversation(userId, until, webActor(req));
+  
+  res.send(`
+    <!DOCTYPE html>
+    <html>
+    <head>
+      <meta charset="utf-8">
+      <meta name="viewport" content="width=device-width, initial-scale=1">
+      <title>スヌーズしました</title>
+      <style>
+        body { font-family: sans-serif; max-width: 500px; margin: 0 auto; padding: 20px; text-align: center; }
+        .success { color: #4CAF50; font-size: 24px; margin: 20px 0; }
+        .info { margin: 20px 0; color: #555; }
       </style>
     </head>
     <body>
-      <h2>返信済みにする確認</h2>
-      <p>以下のメッセージを返信済みにしますか？</p>
-      <div class="message">
-        <p><strong>ユーザー:</strong> ${displayName}</p>
-        <p><strong>メッセージ:</strong> ${messageText}</p>
-      </div>
-      <div class="confirm">
-        <a href="/api/mark-as-replied-web?userId=${userId}&token=${token}" class="btn">はい、返信済みにする</a>
-      </div>
-      <div class="back">
-        <a href="javascript:window.close()">キャンセル</a>
-      </div>
+      <div class="success">⏰ ${formatLocalTime(until)} までスヌーズしました</div>
+      <div class="info">スヌーズが終わるとSlackに通知します。このウィンドウは閉じて構いません</div>
     </body>
     </html>
   `);
 });
 
 // ---------------------------------------------------
-// 10) Web用返信済みマーク設定エンドポイント（トークン検証付き）
+// 10-2) Slackインタラクティブアクション（Block Kit のボタン）
 // ---------------------------------------------------
-app.get('/api/mark-as-replied-web', (req, res) => {
-  const { userId, token } = req.query;
-  if (!userId || !token) {
-    return res.send('エラー: 必須パラメータが不足しています');
+
+// Slackの署名を検証する（https://api.slack.com/authentication/verifying-requests-from-slack）
+function verifySlackSignature(req) {
+  const timestamp = req.headers['x-slack-request-timestamp'];
+  const signature = req.headers['x-slack-signature'];
+  if (!timestamp || !signature || !Buffer.isBuffer(req.body)) return false;
+
+  // リプレイ攻撃対策として5分以上前のリクエストは拒否
+  if (Math.abs(Math.floor(Date.now() / 1000) - Number(timestamp)) > 60 * 5) return false;
+
+  const base = `v0:${timestamp}:${req.body.toString()}`;
+  const expected = 'v0=' + crypto.createHmac('SHA256', SLACK_SIGNING_SECRET).update(base).digest('hex');
+  const expectedBuf = Buffer.from(expected);
+  const signatureBuf = Buffer.from(signature);
+  return expectedBuf.length === signatureBuf.length && crypto.timingSafeEqual(expectedBuf, signatureBuf);
+}
+
+app.post('/slack/actions', (req, res) => {
+  if (!SLACK_SIGNING_SECRET) {
+    return res.status(503).send('SLACK_SIGNING_SECRET が未設定です');
   }
-  
-  if (!conversations[userId]) {
-    return res.send('エラー: 該当のユーザーが見つかりません');
+  if (!verifySlackSignature(req)) {
+    logDebug('Slack署名検証失敗');
+    return res.status(401).send('署名が一致しません');
   }
-  
-  // トークン検証
-  if (conversations[userId].securityToken !== token) {
-    logDebug(`トークン不一致: userId=${userId}, expected=${conversations[userId].securityToken}, received=${token}`);
-    return res.send('エラー: セキュリティトークンが無効です');
+
+  let payload;
+  try {
+    payload = JSON.parse(new URLSearchParams(req.body.toString()).get('payload'));
+  } catch (error) {
+    logDebug(`Slackペイロード解析失敗: ${error.message}`);
+    return res.status(400).send('不正なペイロード');
   }
-  
+
+  // Slackは3秒以内の応答を求めるので先に200を返す
+  res.status(200).end();
+
+  if (!payload || payload.type !== 'block_actions' || !Array.isArray(payload.actions)) return;
+
+  const action = payload.actions[0];
+  // ボタンは value、スヌーズの選択メニューは selected_option.value（"userId|プリセット"）に入っている
+  const [userId, snoozeKey] = (action.value || (action.selected_option && action.selected_option.value) || '').split('|');
+  const actor = payload.user ? `<@${payload.user.id}>` : '不明なユーザー';
+  const now = Date.now();
+  const handledAt = formatLocalTime(now);
+  const originalSection = payload.message && payload.message.blocks
+    ? payload.message.blocks.find(b => b.type === 'section')
+    : null;
+  const originalText = originalSection ? originalSection.text.text : (payload.message ? payload.message.text : '');
+
+  logDebug(`Slackアクション受信: action=${action.action_id}, userId=${userId}, actor=${payload.user ? payload.user.id : 'なし'}`);
+
+  // 「詳細を開く」はURLボタンなので何もしない
+  if (action.action_id === 'open_details') return;
+
+  if (!userId || !conversations[userId]) {
+    updateSlackActionMessage(payload.response_url, originalText, `⚠️ 該当の会話が見つかりません（${handledAt}）`);
+    return;
+  }
+
+  if (action.action_id === 'mark_as_replied') {
+    markConversationAsReplied(userId, { by: { actor: payload.user ? payload.user.id : 'slack', source: 'slack' } });
+    logDebug(`会話更新（Slack経由）: userId=${userId} を返信済みに設定`);
+    updateSlackActionMessage(payload.response_url, originalText, `✅ ${actor} が ${handledAt} に返信済みにしました`);
+  } else if (action.action_id === 'claim' && payload.user && payload.message) {
+    const member = resolveTeamMember(TEAM_MEMBERS, {
+      slackUserId: payload.user.id,
+      name: payload.user.name || payload.user.username
+    });
+    assignConversation(userId, member, payload.user.id);
+    updateSlackConversationInfo(payload.response_url, payload.message,
+      `${slackConversationInfoText(userId)} ｜ 👤 ${actor} が ${handledAt} に担当になりました`);
+  } else if (action.action_id === 'snooze') {
+    const until = snoozePresets.resolve(snoozeKey, now);
+    if (!until) return;
+    snoozeConversation(userId, until, { actor: payload.user ? payload.user.id : 'slack', source: 'slack' });
+    updateSlackActionMessage(payload.response_url, originalText,
+      `⏰ ${actor} が ${handledAt} にスヌーズしました（${formatLocalTime(until)} まで）`);
+  }
+});
+
+// ---------------------------------------------------
+// 10-3) Slackスラッシュコマンド（/line-reply <ユーザー> <本文>）
+// ---------------------------------------------------
+
+// userId または表示名から会話を探す（表示名が重複する場合は未返信のものだけで再判定）
+// channelKey を渡すとそのLINEチャネルの会話だけから探す（他のチャネルの同名の会話で曖昧にならないように）
+function findConversationUserId(query, channelKey = null) {
+  if (conversations[query] && isInChannel(query, channelKey)) return { userId: query };
+
+  const matches = Object.keys(conversations)
+    .filter(id => conversations[id].displayName === query && isInChannel(id, channelKey));
+  if (matches.length === 1) return { userId: matches[0] };
+  if (matches.length === 0) return { error: `「${query}」に該当する会話が見つかりません` };
+
+  const pending = matches.filter(id => conversations[id].needsReply);
+  if (pending.length === 1) return { userId: pending[0] };
+  return { error: `「${query}」に該当する会話が複数あります。userId で指定してください` };
+}
+
+// 結果を response_url に送る
+async function respondToSlackCommand(responseUrl, responseType, text) {
   try {
-    conversations[userId].needsReply = false;
-    conversations[userId].lastReminderTime = 0;  // リマインダー情報をリセット
-    conversations[userId].reminderCount = 0;     // リマインダー情報をリセット
-    logDebug(`会話更新（Web経由）: userId=${userId} を返信済みに設定`);
-    
-    // 成功ページをレンダリング
-    res.send(`
-      <!DOCTYPE html>
-      <html>
-      <head>
-        <meta charset="utf-8">
-        <meta name="viewport" content="width=device-width, initial-scale=1">
-        <title>返信済みに設定しました</title>
-        <style>
-          body { font-family: sans-serif; max-width: 500px; margin: 0 auto; padding: 20px; text-align: center; }
-          .success { color: #4CAF50; font-size: 24px; margin: 20px 0; }
-          .info { margin: 20px 0; color: #555; }
-        </style>
-      </head>
-      <body>
-        <div class="success">✅ 返信済みに設定しました</div>
-        <div class="info">このウィンドウは閉じて構いません</div>
-      </body>
-      </html>
-    `);
+    await axios.post(responseUrl, { response_type: responseType, text });
+    slackSendsCounter.inc({ kind: 'update', result: 'success' });
   } catch (error) {
-    logDebug(`Web経由の返信済み処理エラー: ${error.message}`);
-    res.send('エラー: 処理中に問題が発生しました');
+    slackSendsCounter.inc({ kind: 'update', result: 'failure' });
+    logDebug(`Slackコマンド応答失敗: ${error.message}`);
+  }
+}
+
+app.post('/slack/commands', async (req, res) => {
+  if (!SLACK_SIGNING_SECRET) {
+    return res.status(503).send('SLACK_SIGNING_SECRET が未設定です');
+  }
+  if (!verifySlackSignature(req)) {
+    logDebug('Slack署名検証失敗');
+    return res.status(401).send('署名が一致しません');
+  }
+
+  const params = new URLSearchParams(req.body.toString());
+  const command = params.get('command');
+  const text = (params.get('text') || '').trim();
+  const responseUrl = params.get('response_url');
+  const actor = `<@${params.get('user_id')}>`;
+
+  if (command !== '/line-reply') {
+    return res.json({ response_type: 'ephemeral', text: `未対応のコマンドです: ${command}` });
+  }
+
+  // 表示名に空白を含む場合は "山田 太郎" のように引用符で囲む
+  const match = text.match(/^"([^"]+)"\s+([\s\S]+)$/) || text.match(/^(\S+)\s+([\s\S]+)$/);
+  if (!match) {
+    return res.json({ response_type: 'ephemeral', text: '使い方: /line-reply <userId または表示名> <本文>' });
+  }
+
+  const found = findConversationUserId(match[1]);
+  if (found.error) {
+    return res.json({ response_type: 'ephemeral', text: `エラー: ${found.error}` });
+  }
+
+  // Slackは3秒以内の応答を求めるので先に200を返し、結果は response_url で送る
+  res.status(200).end();
+
+  const userId = found.userId;
+  const replyText = match[2];
+  const displayName = conversations[userId].displayName || 'Unknown User';
+  try {
+    await replyToLineUser(userId, replyText, actor);
+    await respondToSlackCommand(responseUrl, 'in_channel', `✅ ${actor} が【${displayName}】に返信しました：「${replyText}」`);
+  } catch (error) {
+    logDebug(`LINE返信送信失敗: userId=${userId}, error=${error.message}`);
+    await respondToSlackCommand(responseUrl, 'ephemeral', `エラー: LINEへの送信に失敗しました（${error.message}）`);
   }
 });
 
 // ---------------------------------------------------
 // 11) 定期的な未返信チェック（15分ごと）
 // ---------------------------------------------------
+
+// cron のジョブを登録する（シミュレーションでは登録せず、15) で仮想時刻に合わせて呼ぶ）
+function scheduleJob(expression, task, options) {
+  if (simulation) return null;
+  return cron.schedule(expression, task, options);
+}
+
 let isCheckingUnreplied = false;
 // 毎時00分、15分、30分、45分に実行するようにスケジュールを変更
-cron.schedule('0,15,30,45 * * * *', async () => {
+scheduleJob('0,15,30,45 * * * *', checkUnrepliedConversations);
+
+async function checkUnrepliedConversations() {
   if (isCheckingUnreplied) {
     logDebug('前回の未返信チェック中のためスキップ');
     return;
@@ -382,38 +2039,64 @@ cron.schedule('0,15,30,45 * * * *', async () => {
 
   try {
     const now = Date.now();
-    // 3時間をミリ秒に変換（3時間 × 60分 × 60秒 × 1000ミリ秒）
-    const threeHoursMs = 3 * 60 * 60 * 1000;
     const unreplied = [];
 
+    // スヌーズが終わった会話をSlackに知らせる（届いたらこの通知をリマインダー1回分として扱い、次は間隔をあける）
+    // 知らせた会話には同じ回でリマインダーを重ねて送らない
+    const snoozeEnded = new Set();
     for (const userId in conversations) {
       const c = conversations[userId];
-      // グループメッセージは未返信リマインダーから除外
-      if (c.needsReply && c.userMessage && (c.sourceType !== 'group' && c.sourceType !== 'room')) {
-        const timeSinceMessage = now - c.userMessage.timestamp;
-        const timeSinceLastReminder = now - (c.lastReminderTime || 0);
-        
-        // 初回のリマインダー（3時間以上経過している、かつリマインダー未送信）
-        // または、直近のリマインダーから3時間以上経過している場合
-        if ((timeSinceMessage >= threeHoursMs && !c.lastReminderTime) || 
-            (c.lastReminderTime && timeSinceLastReminder >= threeHoursMs)) {
+      if (!c.snoozedUntil || c.snoozedUntil > now) continue;
+      if (c.needsReply) {
+        const customText = `⏰ スヌーズが終了しました：${senderLabel(c)}への返信をお願いします。\n${formatPendingMessages(c)}`;
+        logDebug(`スヌーズ終了通知: userId=${userId}`);
+        // リマインダーの間隔は届いた時点で recordSnoozeEndDelivered() が進める
+        await sendConversationNotification(userId, customText, 'snooze_end');
+        snoozeEnded.add(userId);
+      }
+      c.snoozedUntil = 0;
+      c.snoozedBy = null;
+      saveConversation(userId);
+      refreshSlackThread(userId);
+    }
+
+    for (const userId in conversations) {
+      if (snoozeEnded.has(userId)) continue;
+      const c = conversations[userId];
+      // グループメッセージは追跡中のグループのものだけリマインドする
+      // 前回のリマインダーが再送待ちなら、届くまで次を送らない
+      if (c.needsReply && c.userMessage && isReminderTarget(userId, c) && !hasPendingReminder(userId)) {
+        // 送信するかどうか（スヌーズ・営業時間・間隔・上限）はポリシーで判定
+        const decision = evaluateReminder(userId, c, now);
+        if (decision.shouldRemind) {
           unreplied.push({
             userId,
+            priorityRank: priorityClassifier.rank(priorityClassifier.highest(c.pendingMessages)),
             displayName: c.displayName,
-            text: c.userMessage.text,
-            timestamp: c.userMessage.timestamp,
-            timeSinceMessage,
-            reminderCount: (c.reminderCount || 0) + 1
+            senderLabel: senderLabel(c, decision.oldestMessage),
+            groupLabel: senderLabel(c),
+            text: decision.oldestMessage.text,
+            timestamp: decision.oldestMessage.timestamp,
+            pendingCount: c.pendingMessages.length,
+            pendingText: formatPendingMessages(c),
+            timeSinceMessage: decision.workingElapsedMs,
+            reminderCount: decision.nextReminderCount,
+            escalationLevel: escalationPolicy.levelFor({
+              reminderCount: decision.nextReminderCount,
+              elapsedMs: decision.workingElapsedMs
+            })
           });
         }
       }
     }
 
     logDebug(`リマインダーが必要なユーザー数: ${unreplied.length}`);
+    // 優先度の高い会話から送る
+    unreplied.sort((a, b) => a.priorityRank - b.priorityRank || a.timestamp - b.timestamp);
 
     // 各未返信ユーザーに対して、リマインダー通知を送信
     for (const entry of unreplied) {
-      // 経過時間を時間と分で表示
+      // 経過時間（営業時間換算）を時間と分で表示
       const hoursTotal = Math.floor(entry.timeSinceMessage / (60 * 60 * 1000));
       const minutesTotal = Math.floor((entry.timeSinceMessage % (60 * 60 * 1000)) / (60 * 1000));
       
@@ -421,28 +2104,26 @@ cron.schedule('0,15,30,45 * * * *', async () => {
         ? `${hoursTotal}時間${minutesTotal > 0 ? `${minutesTotal}分` : ''}`
         : `${minutesTotal}分`;
         
-      const customText = `${entry.displayName}さんからのメッセージ「${entry.text}」に${elapsedTimeText}返信がありません。`;
-      logDebug(`リマインダー#${entry.reminderCount}送信: userId=${entry.userId}, message="${entry.text}", 経過時間=${elapsedTimeText}`);
-      
-      await sendSlackInteractiveNotification(entry.userId, customText, true, entry.reminderCount);
-      
-      // リマインダー情報を更新
-      if (conversations[entry.userId]) {
-        conversations[entry.userId].lastReminderTime = now;
-        conversations[entry.userId].reminderCount = entry.reminderCount;
+      let customText = `${entry.senderLabel}からのメッセージ「${entry.text}」に${elapsedTimeText}返信がありません。`;
+      if (entry.pendingCount > 1) {
+        customText = `${entry.groupLabel}からの未返信メッセージ${entry.pendingCount}件に、最初のメッセージから${elapsedTimeText}返信がありません。\n${entry.pendingText}`;
       }
+      logDebug(`リマインダー#${entry.reminderCount}送信: userId=${entry.userId}, message="${entry.text}", 経過時間=${elapsedTimeText}, レベル=${entry.escalationLevel.name}`);
+      
+      // リマインダー情報は送信できた時点で recordReminderDelivered() が更新する
+      await sendConversationNotification(entry.userId, customText, 'reminder', entry.reminderCount, entry.escalationLevel);
     }
   } catch (error) {
     logDebug(`未返信チェックエラー: ${error.message}`);
   } finally {
     isCheckingUnreplied = false;
   }
-});
+}
 
 // ---------------------------------------------------
 // 12) 6時間ごとの古いデータクリーンアップ
 // ---------------------------------------------------
-cron.schedule('0 */6 * * *', () => {
+scheduleJob('0 */6 * * *', () => {
   logDebug('6時間ごとのクリーンアップ開始');
   const now = Date.now();
   const oneDayMs = 24 * 60 * 60 * 1000;
@@ -452,124 +2133,393 @@ cron.schedule('0 */6 * * *', () => {
     const c = conversations[userId];
     if (!c.needsReply && c.userMessage && (now - c.userMessage.timestamp > oneDayMs)) {
       delete conversations[userId];
+      saveConversation(userId);
       cleaned++;
     }
   }
 
   logDebug(`クリーンアップ完了: ${cleaned} 件削除`);
+
+  // 保存期間を過ぎた画像・ファイルも削除
+  try {
+    const removed = mediaStore.cleanup(now);
+    logDebug(`メディアクリーンアップ完了: ${removed} 件削除`);
+  } catch (error) {
+    logDebug(`メディアクリーンアップエラー: ${error.message}`);
+  }
+
+  // 保存期間を過ぎた処理済みイベントID
+  try {
+    const removedEvents = eventDeduper.cleanup(now);
+    logDebug(`処理済みイベントのクリーンアップ完了: ${removedEvents} 件削除`);
+  } catch (error) {
+    logDebug(`処理済みイベントのクリーンアップエラー: ${error.message}`);
+  }
+
+  // サマリーに使わなくなった古いアクティビティ
+  let removedActivities = 0;
+  for (const id in activities) {
+    if (now - activities[id].timestamp > ACTIVITY_RETENTION_DAYS * oneDayMs) {
+      delete activities[id];
+      try {
+        store.remove('activities', id);
+      } catch (error) {
+        logDebug(`アクティビティ削除失敗: id=${id}, error=${error.message}`);
+      }
+      removedActivities++;
+    }
+  }
+  logDebug(`アクティビティクリーンアップ完了: ${removedActivities} 件削除`);
+
+  // 保存期間を過ぎた監査ログ
+  try {
+    auditLog.cleanup(now);
+    logDebug('監査ログのクリーンアップ完了');
+  } catch (error) {
+    logDebug(`監査ログのクリーンアップエラー: ${error.message}`);
+  }
+});
+
+// ---------------------------------------------------
+// 12-2) 日次・週次サマリー
+// ---------------------------------------------------
+const DIGEST_PERIODS = {
+  daily: { title: '日次サマリー', days: 1, cron: DIGEST_DAILY_CRON },
+  weekly: { title: '週次サマリー', days: 7, cron: DIGEST_WEEKLY_CRON }
+};
+
+// 直近 days 日分のサマリー
+function createDigest(period, now = Date.now()) {
+  const pending = Object.keys(conversations)
+    .filter(key => conversations[key].needsReply && isReminderTarget(key, conversations[key]))
+    .map(key => {
+      const c = conversations[key];
+      const oldest = c.pendingMessages.length > 0 ? c.pendingMessages[0] : c.userMessage;
+      return { key, displayName: c.displayName, waitingSince: oldest ? oldest.timestamp : now };
+    });
+  return buildDigest({
+    activities: Object.values(activities),
+    pending,
+    since: now - DIGEST_PERIODS[period].days * 24 * 60 * 60 * 1000,
+    now
+  });
+}
+
+async function sendDigest(period) {
+  if (!DIGEST_SLACK_WEBHOOK_URL) {
+    logDebug('サマリーの送信先が未設定のため送信できません');
+    return;
+  }
+  const text = formatDigestMessage(createDigest(period), { title: DIGEST_PERIODS[period].title, formatTime: formatLocalTime });
+  try {
+    const response = await axios.post(DIGEST_SLACK_WEBHOOK_URL, { text });
+    slackSendsCounter.inc({ kind: 'digest', result: 'success' });
+    logDebug(`${DIGEST_PERIODS[period].title}送信成功: ${response.status}`);
+  } catch (error) {
+    slackSendsCounter.inc({ kind: 'digest', result: 'failure' });
+    logDebug(`${DIGEST_PERIODS[period].title}送信失敗: ${error.message}`);
+  }
+}
+
+for (const period of Object.keys(DIGEST_PERIODS)) {
+  const expression = DIGEST_PERIODS[period].cron;
+  if (expression === 'off') continue;
+  if (!cron.validate(expression)) {
+    console.warn(`警告: ${DIGEST_PERIODS[period].title}の cron 式が不正です: ${expression}`);
+    continue;
+  }
+  scheduleJob(expression, () => sendDigest(period), { timezone: reminderPolicy.options.timezone });
+  console.log(`${DIGEST_PERIODS[period].title}のスケジュール:`, expression);
+}
+
+// ---------------------------------------------------
+// 12-3) 送信に失敗した通知の再送（30秒ごと）
+// ---------------------------------------------------
+scheduleJob('*/30 * * * * *', async () => {
+  try {
+    const delivered = await outbox.deliverDue();
+    if (delivered > 0) logDebug(`通知を再送しました: ${delivered} 件`);
+  } catch (error) {
+    logDebug(`通知の再送エラー: ${error.message}`);
+  }
 });
 
 // ---------------------------------------------------
 // 13) デバッグ用エンドポイント
 // ---------------------------------------------------
-app.get('/api/conversations', (req, res) => {
-  res.json({ success: true, conversations });
+// /ping 以外は管理者認証が必要
+// 管理用APIの ?channel=<チャネルキー> で会話を絞り込む（指定がなければすべて）
+// 不明なチャネルなら 404 を返して undefined を返す
+function requestedChannelKey(req, res) {
+  const channelKey = req.query.channel;
+  if (channelKey && !channels[channelKey]) {
+    res.status(404).json({ success: false, error: `不明なチャネルです: ${channelKey}` });
+    return undefined;
+  }
+  return channelKey || null;
+}
+
+function isInChannel(conversationKey, channelKey) {
+  return !channelKey || channelOf(conversationKey).key === channelKey;
+}
+
+app.get('/api/conversations', adminAuth.requireAdmin, (req, res) => {
+  const channelKey = requestedChannelKey(req, res);
+  if (channelKey === undefined) return;
+  // トークンはそのまま返さない
+  const masked = {};
+  for (const userId in conversations) {
+    if (!isInChannel(userId, channelKey)) continue;
+    masked[userId] = { ...conversations[userId], securityToken: maskToken(conversations[userId].securityToken) };
+  }
+  res.json({ success: true, conversations: masked });
+});
+
+// Prometheus 用（scrape_configs の authorization で ADMIN_API_KEY を Bearer として渡す）
+app.get('/metrics', adminAuth.requireAdmin, (req, res) => {
+  res.set('Content-Type', 'text/plain; version=0.0.4; charset=utf-8');
+  res.send(metrics.render());
 });
 
-app.get('/api/debug-logs', (req, res) => {
+app.get('/api/debug-logs', adminAuth.requireAdmin, (req, res) => {
   res.json({ success: true, logs: debugLogs });
 });
 
+// アウトボックス（再送待ち）とデッドレター
+app.get('/api/outbox', adminAuth.requireAdmin, (req, res) => {
+  const summarize = e => ({
+    id: e.id,
+    channel: e.channel,
+    event: e.notification.event,
+    conversationKey: e.notification.conversationKey || null,
+    title: e.notification.title,
+    text: e.notification.text,
+    attempts: e.attempts,
+    lastError: e.lastError,
+    createdAt: new Date(e.createdAt).toISOString(),
+    nextAttemptAt: e.deadAt ? null : new Date(e.nextAttemptAt).toISOString(),
+    deadAt: e.deadAt ? new Date(e.deadAt).toISOString() : null
+  });
+  res.json({
+    success: true,
+    pending: outbox.pending().map(summarize),
+    deadLetters: outbox.deadLetters().map(summarize)
+  });
+});
+
+// デッドレターを再送する（失敗したらまたバックオフで再送される）
+app.post('/api/outbox/dead-letters/:id/replay', adminAuth.requireAdmin, async (req, res) => {
+  try {
+    const result = await outbox.replay(req.params.id);
+    if (!result) {
+      return res.status(404).json({ success: false, error: '該当のデッドレターが見つかりません' });
+    }
+    res.json({ success: true, ...result });
+  } catch (error) {
+    logDebug(`デッドレターの再送エラー: id=${req.params.id}, error=${error.message}`);
+    return res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+app.delete('/api/outbox/dead-letters/:id', adminAuth.requireAdmin, (req, res) => {
+  if (!outbox.discard(req.params.id)) {
+    return res.status(404).json({ success: false, error: '該当のデッドレターが見つかりません' });
+  }
+  res.json({ success: true });
+});
+
+// 日次・週次サマリーの確認（Slackには送らない）
+app.get('/api/digest', adminAuth.requireAdmin, (req, res) => {
+  const period = req.query.period || 'daily';
+  if (!DIGEST_PERIODS[period]) {
+    return res.status(400).json({ success: false, error: `period は ${Object.keys(DIGEST_PERIODS).join(' / ')} のいずれかです` });
+  }
+  const digest = createDigest(period);
+  res.json({
+    success: true,
+    period,
+    digest,
+    text: formatDigestMessage(digest, { title: DIGEST_PERIODS[period].title, formatTime: formatLocalTime })
+  });
+});
+
+// 監査ログの検索（新しい順）
+// ?userId=（会話のキー）&actor=&action=&source=&from=&to=&limit=（最大1000、既定100）
+// from / to は ISO 8601 の日時、または "2026-10-19" のような日付（REMINDER_TIMEZONE の日付。to の日付はその日を含む）
+app.get('/api/audit', adminAuth.requireAdmin, async (req, res) => {
+  const { userId, actor, action, source } = req.query;
+  if (action && !AUDIT_ACTIONS.includes(action)) {
+    return res.status(400).json({ success: false, error: `action は ${AUDIT_ACTIONS.join(' / ')} のいずれかです` });
+  }
+  if (source && !AUDIT_SOURCES.includes(source)) {
+    return res.status(400).json({ success: false, error: `source は ${AUDIT_SOURCES.join(' / ')} のいずれかです` });
+  }
+  const from = parseAuditTime(req.query.from, false);
+  const to = parseAuditTime(req.query.to, true);
+  if (Number.isNaN(from) || Number.isNaN(to)) {
+    return res.status(400).json({ success: false, error: 'from / to は ISO 8601 の日時か YYYY-MM-DD の日付で指定してください' });
+  }
+  const limit = Math.min(Number(req.query.limit) || 100, 1000);
+  try {
+    const result = await auditLog.query({ conversationKey: userId, actor, action, source, from, to, limit });
+    res.json({
+      success: true,
+      total: result.total,
+      entries: result.entries.map(e => ({ ...e, time: new Date(e.timestamp).toISOString() }))
+    });
+  } catch (error) {
+    logDebug(`監査ログの検索エラー: ${error.message}`);
+    return res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+// 監査ログの検索条件の日時（未指定なら undefined、不正なら NaN）
+// 日付だけなら、from はその日の0時、to は翌日の0時
+function parseAuditTime(value, isEnd) {
+  if (!value) return undefined;
+  const timezone = reminderPolicy.options.timezone;
+  if (/^\d{4}-\d{2}-\d{2}$/.test(value)) {
+    return zonedTimeToTimestamp(isEnd ? addDays(value, 1) : value, 0, timezone);
+  }
+  return Date.parse(value);
+}
+
+// 保存した画像・ファイル（署名付きURLのみ。Slackのリンクや確認ページから開く）
+app.get('/media/:fileName', (req, res) => {
+  const { fileName } = req.params;
+  const filePath = mediaStore.resolveSigned(fileName, req.query.expires, req.query.sig);
+  if (!filePath) {
+    return res.status(404).send('エラー: ファイルが見つからないか、リンクの有効期限が切れています');
+  }
+  res.type(mediaStore.contentTypeOf(fileName));
+  res.sendFile(filePath);
+});
+
 // シンプルなpingエンドポイント
 app.get('/ping', (req, res) => {
   res.status(200).send('pong');
 });
 
 // リマインダーの状態を診断するエンドポイント
-app.get('/api/debug-reminder', (req, res) => {
+// 判定は未返信チェックのcronと同じ evaluateReminder() で行う
+app.get('/api/debug-reminder', adminAuth.requireAdmin, (req, res) => {
+  const channelKey = requestedChannelKey(req, res);
+  if (channelKey === undefined) return;
   const now = Date.now();
-  const threeHoursMs = 3 * 60 * 60 * 1000;
+  const toHours = ms => (ms / (60 * 60 * 1000)).toFixed(2);
+  const policy = channels[channelKey || PRIMARY_CHANNEL_KEY].reminderPolicy;
   const result = {
     currentTime: new Date(now).toISOString(),
+    channel: channelKey,
+    channels: lineChannels.map(ch => ({ key: ch.key, name: ch.name, hasReminderPolicy: Object.keys(ch.reminderPolicy).length > 0 })),
+    policy: policy.options,
+    priorityLevels: priorityClassifier.levels,
+    escalationLevels: escalationPolicy.levels.map(({ webhookUrl, ...level }) => ({ ...level, hasWebhookUrl: !!webhookUrl })),
+    isWorkingTime: policy.isWorkingTime(now),
     conversationStatus: [],
     unrepliedMessages: []
   };
 
-  // 全ての会話の状態を確認
+  // 全ての会話の状態を確認（?channel= があればそのチャネルだけ）
   for (const userId in conversations) {
+    if (!isInChannel(userId, channelKey)) continue;
     const c = conversations[userId];
     const status = {
       userId,
+      channel: channelOf(userId).key,
       displayName: c.displayName,
       sourceType: c.sourceType,
       needsReply: c.needsReply,
+      priority: priorityClassifier.highest(c.pendingMessages || []),
       userMessageTime: c.userMessage ? new Date(c.userMessage.timestamp).toISOString() : null,
       timeSinceMessage: c.userMessage ? now - c.userMessage.timestamp : null,
       timeSinceMessageHours: c.userMessage ? ((now - c.userMessage.timestamp) / (60 * 60 * 1000)).toFixed(2) : null,
       lastReminderTime: c.lastReminderTime ? new Date(c.lastReminderTime).toISOString() : null,
       reminderCount: c.reminderCount || 0,
+      snoozedUntil: c.snoozedUntil ? new Date(c.snoozedUntil).toISOString() : null,
       message: c.userMessage ? c.userMessage.text : null,
-      securityToken: c.securityToken ? '**********' + c.securityToken.substring(c.securityToken.length - 4) : null
+      pendingMessageCount: c.pendingMessages ? c.pendingMessages.length : 0,
+      securityToken: maskToken(c.securityToken)
     };
     
     result.conversationStatus.push(status);
 
-    // 未返信でグループ以外のメッセージを収集
-    if (c.needsReply && c.userMessage && (c.sourceType !== 'group' && c.sourceType !== 'room')) {
-      const timeSinceMessage = now - c.userMessage.timestamp;
-      const timeSinceLastReminder = now - (c.lastReminderTime || 0);
+    // 未返信のメッセージを収集（グループは追跡中のものだけ）
+    if (c.needsReply && c.userMessage && isReminderTarget(userId, c)) {
+      const decision = evaluateReminder(userId, c, now);
+      const oldest = decision.oldestMessage;
+      const currentLevel = escalationPolicy.levelFor({ reminderCount: c.reminderCount || 0, elapsedMs: decision.workingElapsedMs });
+      const nextLevel = escalationPolicy.levelFor({ reminderCount: decision.nextReminderCount, elapsedMs: decision.workingElapsedMs });
       
-      if ((timeSinceMessage >= threeHoursMs && !c.lastReminderTime) || 
-          (c.lastReminderTime && timeSinceLastReminder >= threeHoursMs)) {
-        result.unrepliedMessages.push({
-          userId,
-          displayName: c.displayName,
-          text: c.userMessage.text,
-          timestamp: new Date(c.userMessage.timestamp).toISOString(),
-          hoursSinceMessage: (timeSinceMessage / (60 * 60 * 1000)).toFixed(2),
-          lastReminderTime: c.lastReminderTime ? new Date(c.lastReminderTime).toISOString() : null,
-          hoursSinceLastReminder: c.lastReminderTime ? (timeSinceLastReminder / (60 * 60 * 1000)).toFixed(2) : null,
-          reminderCount: c.reminderCount || 0,
-          shouldSendReminder: 'YES'
-        });
-      } else {
-        let reason = '';
-        if (timeSinceMessage < threeHoursMs) {
-          reason = '3時間経過していません';
-        } else if (c.lastReminderTime && timeSinceLastReminder < threeHoursMs) {
-          reason = '前回のリマインドから3時間経過していません';
-        }
-        
-        result.unrepliedMessages.push({
-          userId,
-          displayName: c.displayName,
-          text: c.userMessage.text,
-          timestamp: new Date(c.userMessage.timestamp).toISOString(),
-          hoursSinceMessage: (timeSinceMessage / (60 * 60 * 1000)).toFixed(2),
-          lastReminderTime: c.lastReminderTime ? new Date(c.lastReminderTime).toISOString() : null,
-          hoursSinceLastReminder: c.lastReminderTime ? (timeSinceLastReminder / (60 * 60 * 1000)).toFixed(2) : null,
-          reminderCount: c.reminderCount || 0,
-          shouldSendReminder: 'NO',
-          reason
-        });
-      }
+      result.unrepliedMessages.push({
+        userId,
+        channel: channelOf(userId).key,
+        displayName: c.displayName,
+        priority: priorityClassifier.highest(c.pendingMessages || []),
+        text: oldest.text,
+        timestamp: new Date(oldest.timestamp).toISOString(),
+        pendingMessages: (c.pendingMessages || []).map(m => ({
+          text: m.text,
+          senderName: m.senderName,
+          priority: m.priority || 'normal',
+          timestamp: new Date(m.timestamp).toISOString()
+        })),
+        hoursSinceMessage: toHours(now - oldest.timestamp),
+        workingHoursSinceMessage: toHours(decision.workingElapsedMs),
+        lastReminderTime: c.lastReminderTime ? new Date(c.lastReminderTime).toISOString() : null,
+        hoursSinceLastReminder: c.lastReminderTime ? toHours(now - c.lastReminderTime) : null,
+        workingHoursSinceLastReminder: c.lastReminderTime ? toHours(decision.workingSinceLastReminderMs) : null,
+        reminderCount: c.reminderCount || 0,
+        escalationLevel: currentLevel.name,
+        nextReminderEscalationLevel: nextLevel.name,
+        shouldSendReminder: decision.shouldRemind && !hasPendingReminder(userId) ? 'YES' : 'NO',
+        reason: hasPendingReminder(userId) ? '前回のリマインダーが再送待ちです' : (decision.reason || undefined)
+      });
     }
   }
 
+  // 優先度の高い順、同じ優先度なら待ち時間の長い順
+  result.unrepliedMessages.sort((a, b) => priorityClassifier.rank(a.priority) - priorityClassifier.rank(b.priority)
+    || a.timestamp.localeCompare(b.timestamp));
+
   res.json(result);
 });
 
-// テストメッセージを作成するエンドポイント
-app.post('/api/create-test-conversation', (req, res) => {
-  const testUserId = 'U_TEST_USER_' + Date.now().toString().substring(8);
+// テストメッセージを作成するエンドポイント（本番環境では無効）
+app.post('/api/create-test-conversation', adminAuth.requireAdmin, (req, res) => {
+  if (IS_PRODUCTION) {
+    return res.status(404).json({ success: false, error: '本番環境ではテスト用エンドポイントは無効です' });
+  }
+
+  const channelKey = (req.body && req.body.channel) || PRIMARY_CHANNEL_KEY;
+  if (!channels[channelKey]) {
+    return res.status(404).json({ success: false, error: `不明なチャネルです: ${channelKey}` });
+  }
+  const testUserId = conversationKeys.keyFor(channelKey, 'U_TEST_USER_' + Date.now().toString().substring(8));
   const testMessage = 'これはテストメッセージです - ' + new Date().toISOString();
   
-  // 3時間前の時間を作成
-  const threeHoursAgo = Date.now() - (3 * 60 * 60 * 1000 + 5 * 60 * 1000); // 3時間5分前
+  // 初回リマインダーまでの時間より5分前の時間を作成（営業時間外の場合は次の営業時間まで送信されない）
+  const threeHoursAgo = Date.now() - (channels[channelKey].reminderPolicy.options.firstReminderDelayMinutes + 5) * 60 * 1000;
   
-  // セキュリティトークンを生成
-  const securityToken = generateSecurityToken();
+  const testUserMessage = { text: testMessage, timestamp: threeHoursAgo, id: 'test_msg_' + Date.now() };
   
   conversations[testUserId] = {
-    userMessage: { text: testMessage, timestamp: threeHoursAgo, id: 'test_msg_' + Date.now() },
+    userMessage: testUserMessage,
+    pendingMessages: [testUserMessage],
+    messages: [{ from: 'user', ...testUserMessage }],
     botReply: null,
     needsReply: true,
     displayName: 'テストユーザー',
     sourceType: 'user',
     lastReminderTime: 0,
     reminderCount: 0,
-    securityToken
+    snoozedUntil: 0,
+    assignee: null,
+    securityToken: null
   };
+  // セキュリティトークンを生成
+  const securityToken = issueSecurityToken(conversations[testUserId]);
+  saveConversation(testUserId);
   
   return res.json({ 
     success: true, 
@@ -587,7 +2537,7 @@ app.post('/api/create-test-conversation', (req, res) => {
 });
 
 // 強制的にリマインドを送信するエンドポイント
-app.post('/api/force-remind', express.json(), async (req, res) => {
+app.post('/api/force-remind', adminAuth.requireAdmin, express.json(), async (req, res) => {
   const { userId } = req.body;
   
   if (!userId) {
@@ -604,26 +2554,21 @@ app.post('/api/force-remind', express.json(), async (req, res) => {
       return res.status(400).json({ success: false, error: '未返信のメッセージがないか、返信不要の状態です' });
     }
     
-    const now = Date.now();
-    const reminderCount = (c.reminderCount || 0) + 1;
-    const customText = `【強制送信】${c.displayName}さんからのメッセージ「${c.userMessage.text}」への返信が必要です。`;
-    
-    await sendSlackInteractiveNotification(userId, customText, true, reminderCount);
-    
-    // リマインダー情報を更新
-    conversations[userId].lastReminderTime = now;
-    conversations[userId].reminderCount = reminderCount;
+    const deliveries = await forceReminder(userId, { actor: adminAuth.actorOf(req), source: 'api' });
+    const delivered = deliveries.some(d => d.ok);
     
     return res.json({ 
       success: true, 
-      message: 'リマインダーを強制送信しました',
+      message: delivered ? 'リマインダーを強制送信しました' : 'リマインダーを送信できなかったため、再送を予約しました',
+      deliveries,
       conversation: {
         userId,
         displayName: c.displayName,
         text: c.userMessage.text,
         timestamp: new Date(c.userMessage.timestamp).toISOString(),
-        lastReminderTime: new Date(now).toISOString(),
-        reminderCount
+        lastReminderTime: c.lastReminderTime ? new Date(c.lastReminderTime).toISOString() : null,
+        reminderCount: c.reminderCount,
+        escalationLevel: c.escalationLevel || null
       }
     });
   } catch (error) {
@@ -631,10 +2576,175 @@ app.post('/api/force-remind', express.json(), async (req, res) => {
   }
 });
 
+// ---------------------------------------------------
+// 13-2) ダッシュボード（管理者認証が必要）
+// ---------------------------------------------------
+
+// フォーム送信用のCSRFトークン（Basic認証はブラウザが自動で送るため）。再起動で変わる
+const DASHBOARD_CSRF_TOKEN = generateSecurityToken();
+
+// pending | snoozed | replied
+function conversationStatus(c, now) {
+  if (!c.needsReply) return 'replied';
+  if (c.snoozedUntil && c.snoozedUntil > now) return 'snoozed';
+  return 'pending';
+}
+
+// 最も古い未返信メッセージからの待ち時間
+function conversationWaitMs(c, now) {
+  const oldest = c.pendingMessages && c.pendingMessages.length > 0 ? c.pendingMessages[0] : null;
+  return oldest ? now - oldest.timestamp : null;
+}
+
+app.get('/dashboard', adminAuth.requireAdmin, (req, res) => {
+  const now = Date.now();
+  const filter = FILTERS.some(f => f.key === req.query.filter) ? req.query.filter : 'pending';
+  const counts = { all: 0, pending: 0, snoozed: 0, replied: 0 };
+  const rows = [];
+
+  for (const userId in conversations) {
+    const c = conversations[userId];
+    const status = conversationStatus(c, now);
+    counts.all++;
+    counts[status]++;
+    if (filter !== 'all' && filter !== status) continue;
+
+    const latest = c.pendingMessages && c.pendingMessages.length > 0 ? c.pendingMessages[0] : c.userMessage;
+    rows.push({
+      userId,
+      displayName: `${channelLabel(userId)}${c.displayName || 'Unknown User'}`,
+      status,
+      waitMs: conversationWaitMs(c, now),
+      reminderCount: c.reminderCount || 0,
+      assigneeName: formatAssignee(c.assignee),
+      preview: latest ? latest.text : '',
+      pendingCount: c.pendingMessages ? c.pendingMessages.length : 0,
+      lastMessageTime: c.userMessage ? c.userMessage.timestamp : null
+    });
+  }
+
+  // 待ち時間の長い順（返信済みは最終受信の新しい順）
+  rows.sort((a, b) => (b.waitMs || 0) - (a.waitMs || 0) || (b.lastMessageTime || 0) - (a.lastMessageTime || 0));
+
+  res.send(renderDashboardPage({
+    filter,
+    rows,
+    counts,
+    csrfToken: DASHBOARD_CSRF_TOKEN,
+    notice: req.query.updated ? `${req.query.updated}件を返信済みにしました` : null,
+    formatTime: formatLocalTime
+  }));
+});
+
+app.get('/dashboard/conversations/:userId', adminAuth.requireAdmin, (req, res) => {
+  const { userId } = req.params;
+  const c = conversations[userId];
+  if (!c) {
+    return res.status(404).send('エラー: 該当のユーザーが見つかりません');
+  }
+  const now = Date.now();
+  res.send(renderConversationDetail({
+    userId,
+    conversation: c,
+    status: conversationStatus(c, now),
+    waitMs: conversationWaitMs(c, now),
+    assigneeName: formatAssignee(c.assignee),
+    csrfToken: DASHBOARD_CSRF_TOKEN,
+    formatTime: formatLocalTime,
+    mediaUrl: media => mediaStore.signedUrl(media)
+  }));
+});
+
+// 一括で返信済みにする（/api/mark-as-replied-web と同じ markConversationAsReplied() を使う）
+app.post('/dashboard/mark-as-replied', adminAuth.requireAdmin, (req, res) => {
+  if (!req.body || !safeEqual(req.body.csrfToken || '', DASHBOARD_CSRF_TOKEN)) {
+    return res.status(403).send('エラー: フォームの有効期限が切れています。ページを再読み込みしてください');
+  }
+  const userIds = [].concat(req.body.userIds || []);
+  let updated = 0;
+  for (const userId of userIds) {
+    if (!conversations[userId] || !conversations[userId].needsReply) continue;
+    markConversationAsReplied(userId, { by: { actor: adminAuth.actorOf(req), source: 'web' } });
+    logDebug(`会話更新（ダッシュボード経由）: userId=${userId} を返信済みに設定`);
+    updated++;
+  }
+  const filter = FILTERS.some(f => f.key === req.body.filter) ? req.body.filter : 'pending';
+  res.redirect(`/dashboard?filter=${filter}&updated=${updated}`);
+});
+
 // ---------------------------------------------------
 // 14) サーバー起動
 // ---------------------------------------------------
 const PORT = process.env.PORT || 3000;
-app.listen(PORT, () => {
-  logDebug(`Server running on port ${PORT}`);
-});
+if (simulation) {
+  runSimulation().catch(error => {
+    console.error('シミュレーションエラー:', error);
+    process.exit(1);
+  });
+} else {
+  app.listen(PORT, () => {
+    logDebug(`Server running on port ${PORT}`);
+  });
+}
+
+// 終了時（Heroku の再起動は SIGTERM）にまとめ待ちの変更を書き出す
+function shutdown(signal) {
+  logDebug(`${signal} を受信しました。ストアを書き出して終了します`);
+  try {
+    eventDeduper.persist();
+    store.flush();
+  } catch (error) {
+    console.error('ストアの書き出しエラー:', error);
+  }
+  process.exit(0);
+}
+process.on('SIGTERM', () => shutdown('SIGTERM'));
+process.on('SIGINT', () => shutdown('SIGINT'));
+
+// ---------------------------------------------------
+// 15) シミュレーション（SIMULATE_EVENTS_FILE）
+// ---------------------------------------------------
+// イベントファイル（lib/simulation.js 参照）を仮想時刻で再生し、Slack と LINE に送ったはずの内容を
+// タイムラインにして表示する。リマインダーポリシー・優先度・エスカレーションなどの設定は本番と同じ環境変数を読む。
+// 未返信チェック（0,15,30,45分）と通知の再送は cron の代わりにここで呼び、
+// 最後のイベントから SIMULATE_HOURS_AFTER 時間後まで時刻を進める。
+// 例: SIMULATE_EVENTS_FILE=events.jsonl BUSINESS_HOURS=09:00-18:00 node app.js
+async function runSimulation() {
+  const checkIntervalMs = 15 * 60 * 1000;
+  const { events, clock, timeline, displayNames } = simulation;
+  const nameOf = id => displayNames.get(id) || id;
+  const end = events[events.length - 1].event.timestamp + SIMULATE_HOURS_AFTER * 60 * 60 * 1000;
+  let nextCheck = Math.floor(clock.now() / checkIntervalMs) * checkIntervalMs + checkIntervalMs;
+
+  // timestamp までの未返信チェックを順に実行する
+  async function runChecksUntil(timestamp) {
+    while (nextCheck <= timestamp) {
+      clock.advanceTo(nextCheck);
+      await outbox.deliverDue();
+      await checkUnrepliedConversations();
+      nextCheck += checkIntervalMs;
+    }
+  }
+
+  for (const { event, channelKey, displayName, groupName } of events) {
+    await runChecksUntil(event.timestamp);
+    clock.advanceTo(event.timestamp);
+    const channel = channels[channelKey || PRIMARY_CHANNEL_KEY];
+    if (!channel) {
+      console.warn(`警告: 不明なチャネルのイベントを読み飛ばします: ${channelKey}`);
+      continue;
+    }
+    const source = event.source || {};
+    if (displayName && source.userId) displayNames.set(source.userId, displayName);
+    if (groupName && (source.groupId || source.roomId)) displayNames.set(source.groupId || source.roomId, groupName);
+    timeline.add('line_event', { channelKey: channel.key, description: `${lineChannels.length > 1 ? `［${channel.name}］` : ''}${describeLineEvent(event, nameOf)}` });
+    await processLineEvent(event, channel);
+  }
+  await runChecksUntil(end);
+
+  console.log(`\n===== シミュレーション結果（${formatLocalTime(events[0].event.timestamp)} 〜 ${formatLocalTime(end)}、${reminderPolicy.options.timezone}） =====`);
+  console.log(formatTimeline(timeline, { formatTime: formatLocalTime }));
+  const pending = Object.keys(conversations).filter(key => conversations[key].needsReply);
+  console.log(`終了時点の未返信: ${pending.length}件${pending.length > 0 ? `（${pending.map(key => senderLabel(conversations[key])).join('、')}）` : ''}`);
+  clock.restore();
+}
@@ -0,0 +1,65 @@
+const crypto = require('crypto');
+
+// ---------------------------------------------------
+// 管理用API・デバッグ用エンドポイントの認証
+// ---------------------------------------------------
+// 次のどちらか（両方も可）で認証する:
+//   ADMIN_API_KEY                  -> X-API-Key ヘッダー または Authorization: Bearer <key>
+//   ADMIN_USER / ADMIN_PASSWORD    -> Basic 認証（ブラウザから開く場合）
+// どちらも未設定のときは、管理用エンドポイントはすべて拒否する。
+
+function safeEqual(a, b) {
+  const aBuf = Buffer.from(String(a));
+  const bBuf = Buffer.from(String(b));
+  return aBuf.length === bBuf.length && crypto.timingSafeEqual(aBuf, bBuf);
+}
+
+function createAdminAuth({ apiKey, username, password } = {}) {
+  const basicEnabled = !!(username && password);
+  const enabled = !!apiKey || basicEnabled;
+
+  // 受け入れた認証情報の操作者名を返す（API キーなら "api-key"、Basic 認証ならユーザー名）。認証できなければ null
+  function authenticate(req) {
+    const authorization = req.headers.authorization || '';
+    if (apiKey) {
+      if (req.headers['x-api-key'] && safeEqual(req.headers['x-api-key'], apiKey)) return 'api-key';
+      if (authorization.startsWith('Bearer ') && safeEqual(authorization.substring(7), apiKey)) return 'api-key';
+    }
+    if (basicEnabled && authorization.startsWith('Basic ')) {
+      const decoded = Buffer.from(authorization.substring(6), 'base64').toString();
+      const separator = decoded.indexOf(':');
+      if (separator >= 0
+        && safeEqual(decoded.substring(0, separator), username)
+        && safeEqual(decoded.substring(separator + 1), password)) {
+        return username;
+      }
+    }
+    return null;
+  }
+
+  function isAuthorized(req) {
+    return authenticate(req) !== null;
+  }
+
+  // Express ミドルウェア
+  function requireAdmin(req, res, next) {
+    if (!enabled) {
+      return res.status(403).json({ success: false, error: '管理者認証が設定されていないため利用できません' });
+    }
+    if (!isAuthorized(req)) {
+      if (basicEnabled) res.set('WWW-Authenticate', 'Basic realm="line-reminder-bot", charset="UTF-8"');
+      return res.status(401).json({ success: false, error: '認証が必要です' });
+    }
+    next();
+  }
+
+  // 監査ログに残す操作者（requireAdmin を通ったリクエスト用）。実際に認証に使われた認証情報のものを返すので、
+  // API キーで認証したリクエストに検証していない Basic 認証のヘッダーが付いていても、そのユーザー名は使わない
+  function actorOf(req) {
+    return authenticate(req) || 'unknown';
+  }
+
+  return { enabled, isAuthorized, requireAdmin, actorOf };
+}
+
+module.exports = { createAdminAuth, safeEqual };
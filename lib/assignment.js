@@ -0,0 +1,52 @@
+// ---------------------------------------------------
+// 担当者の割り当て
+// ---------------------------------------------------
+// TEAM_MEMBERS に担当者の一覧を JSON 配列で定義する:
+//   [{ "name": "山田", "slackUserId": "U0123ABCD" }, { "name": "佐藤" }]
+// slackUserId があればリマインダーで <@U0123ABCD> としてメンションする。
+// AUTO_ASSIGN=round_robin にすると、新しい会話を一覧の順に自動で割り当てる。
+
+function teamMembersFromEnv(env = process.env) {
+  if (!env.TEAM_MEMBERS) return [];
+  let members;
+  try {
+    members = JSON.parse(env.TEAM_MEMBERS);
+  } catch (error) {
+    throw new Error(`TEAM_MEMBERS の JSON が不正です: ${error.message}`);
+  }
+  if (!Array.isArray(members) || members.some(m => !m || !m.name)) {
+    throw new Error('TEAM_MEMBERS は name を持つオブジェクトの配列で指定してください');
+  }
+  return members.map(m => ({ name: m.name, slackUserId: m.slackUserId || null }));
+}
+
+// nextIndex は再起動をまたいで順番を引き継ぐためにストアへ保存する
+function createRoundRobinAssigner(members, nextIndex = 0) {
+  let index = nextIndex;
+  return {
+    get nextIndex() {
+      return index;
+    },
+    next() {
+      if (members.length === 0) return null;
+      const member = members[index % members.length];
+      index = (index + 1) % members.length;
+      return member;
+    }
+  };
+}
+
+// 名前または Slack ユーザーID から担当者を探す（見つからなければ名前だけの担当者として扱う）
+function resolveTeamMember(members, { name, slackUserId }) {
+  const found = members.find(m => (slackUserId && m.slackUserId === slackUserId) || (name && m.name === name));
+  if (found) return found;
+  return { name: name || slackUserId, slackUserId: slackUserId || null };
+}
+
+// Slack メッセージ用の表記（メンションできる場合はメンション）
+function formatAssignee(assignee, mention = false) {
+  if (!assignee) return '未割り当て';
+  return mention && assignee.slackUserId ? `<@${assignee.slackUserId}>` : assignee.name;
+}
+
+module.exports = { teamMembersFromEnv, createRoundRobinAssigner, resolveTeamMember, formatAssignee };
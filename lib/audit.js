@@ -0,0 +1,142 @@
+const crypto = require('crypto');
+
+// ---------------------------------------------------
+// 監査ログ
+// ---------------------------------------------------
+// 「誰が・いつ・どこから・何をしたか」をストアの追記ログ auditLog に残す。
+// logDebug はメモリ上の直近100行だけなので、対応の記録はこちらに構造化して持つ。
+// 1件ごとにストア全体を書き直さないよう、コレクションではなく追記ログ（JSONL / SQLite のテーブル）に書く。
+// メモリには起動後に記録した直近 memoryLimit 件だけを時刻順に持ち、その範囲に収まる検索はメモリで答える。
+// それより古い期間の検索は、ストアの追記ログを期間で絞って1件ずつ読む（全件をメモリに読み込まない）。
+//
+// entry: {
+//   id, action, timestamp,
+//   conversationKey, displayName, // 会話に関係しないもの（トークンの失敗で会話がないなど）は null
+//   actor,                        // 操作した人（Slack のユーザーID、LINE のユーザーID、管理者名、IP など。自動処理は 'system'）
+//   source,                       // SOURCES のどれか
+//   details                       // action ごとの補足
+// }
+
+const ACTIONS = [
+  'received',          // LINE のメッセージを受信
+  'notification_sent', // 新着・お知らせの通知を送信（通知チャネルごと）
+  'reminder_sent',     // リマインダーを送信（通知チャネルごと）
+  'marked_replied',    // 返信済みにした
+  'snoozed',           // スヌーズした
+  'forced_reminder',   // リマインダーを手動で送った
+  'token_failure'      // 返信済みリンクのトークンが無効・期限切れ
+];
+
+const SOURCES = [
+  'line',   // LINE のメッセージ・スタッフ用コマンド
+  'slack',  // Slack のボタン・スラッシュコマンド
+  'web',    // 確認ページ・ダッシュボード
+  'api',    // 管理用API
+  'system'  // 自動処理（通知の送信、自動応答、ブロックなど）
+];
+
+// 時刻順の配列で timestamp 以上の最初の位置
+function lowerBound(entries, timestamp) {
+  let low = 0;
+  let high = entries.length;
+  while (low < high) {
+    const mid = (low + high) >> 1;
+    if (entries[mid].timestamp < timestamp) low = mid + 1;
+    else high = mid;
+  }
+  return low;
+}
+
+// memoryLimit: メモリに持つ直近の件数
+function createAuditLog({ store, retentionMs, memoryLimit = 1000, log = () => {} }) {
+  const recent = []; // 古い順
+  // メモリに coveredFrom 以降のものはすべてある（起動前のもの・あふれて捨てたものはストアにだけある）
+  let coveredFrom = Date.now();
+
+  // 時刻順を保って入れる（ふつうは末尾）。coveredFrom より前のものはストアにだけ残す
+  function remember(entry) {
+    if (entry.timestamp < coveredFrom) return;
+    if (recent.length === 0 || recent[recent.length - 1].timestamp <= entry.timestamp) {
+      recent.push(entry);
+    } else {
+      recent.splice(lowerBound(recent, entry.timestamp + 1), 0, entry);
+    }
+    if (recent.length > memoryLimit) {
+      coveredFrom = recent[recent.length - memoryLimit].timestamp;
+      recent.splice(0, lowerBound(recent, coveredFrom));
+    }
+  }
+
+  // 以前の形式（コレクション auditLog に1件ずつ保存していたもの）を追記ログに移す
+  const legacy = Object.values(store.load('auditLog')).sort((a, b) => a.timestamp - b.timestamp);
+  if (legacy.length > 0) {
+    for (const entry of legacy) {
+      store.appendLog('auditLog', entry);
+      store.remove('auditLog', entry.id);
+    }
+    log(`監査ログを追記ログに移行: ${legacy.length}件`);
+  }
+
+  function record(action, { conversationKey = null, displayName = null, actor = 'system', source = 'system', details = {}, timestamp = Date.now() } = {}) {
+    if (!ACTIONS.includes(action)) throw new Error(`監査ログの action が不正です: ${action}`);
+    if (!SOURCES.includes(source)) throw new Error(`監査ログの source が不正です: ${source}`);
+    const id = `${timestamp}-${crypto.randomBytes(4).toString('hex')}`;
+    const entry = { id, action, timestamp, conversationKey, displayName, actor: String(actor), source, details };
+    remember(entry);
+    try {
+      store.appendLog('auditLog', entry);
+    } catch (error) {
+      log(`監査ログ保存失敗: id=${id}, error=${error.message}`);
+    }
+    return entry;
+  }
+
+  // 条件に合うものを新しい順に返す（条件はすべて省略可）
+  // from / to: ミリ秒（from <= timestamp < to）。保存期間より前は数えない
+  async function query({ conversationKey, actor, action, source, from, to, limit = 100 } = {}, now = Date.now()) {
+    const matches = e => (conversationKey == null || e.conversationKey === conversationKey)
+      && (actor == null || e.actor === actor)
+      && (action == null || e.action === action)
+      && (source == null || e.source === source);
+    const range = { from: Math.max(from == null ? 0 : from, now - retentionMs + 1), to: to == null ? Infinity : to };
+
+    if (range.from >= coveredFrom) {
+      const start = lowerBound(recent, range.from);
+      const end = range.to === Infinity ? recent.length : lowerBound(recent, range.to);
+      const matched = [];
+      let total = 0;
+      for (let i = end - 1; i >= start; i--) {
+        if (!matches(recent[i])) continue;
+        total++;
+        if (matched.length < limit) matched.push(recent[i]);
+      }
+      return { total, entries: matched };
+    }
+
+    // 古い順に読みながら、条件に合う最新の limit 件だけを残す
+    const latest = [];
+    let total = 0;
+    for await (const e of store.readLog('auditLog', range)) {
+      if (!matches(e)) continue;
+      total++;
+      latest.push(e);
+      if (latest.length >= limit * 2) latest.splice(0, latest.length - limit);
+    }
+    return { total, entries: latest.slice(-limit).sort((a, b) => b.timestamp - a.timestamp) };
+  }
+
+  // 保存期間を過ぎたものを削除する
+  function cleanup(now = Date.now()) {
+    const before = now - retentionMs + 1;
+    recent.splice(0, lowerBound(recent, before));
+    try {
+      store.pruneLog('auditLog', before);
+    } catch (error) {
+      log(`監査ログの削除失敗: error=${error.message}`);
+    }
+  }
+
+  return { record, query, cleanup };
+}
+
+module.exports = { createAuditLog, ACTIONS, SOURCES };
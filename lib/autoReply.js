@@ -0,0 +1,82 @@
+// ---------------------------------------------------
+// LINE ユーザーへの自動応答
+// ---------------------------------------------------
+// 受信したメッセージに replyToken で自動的に返信する。
+// 1) キーワードのルール（よくある質問）に一致したら、ルールの回答を送る
+//    markHandled: true のルールは自動応答だけで対応済みとし、会話を返信済みにする
+// 2) ルールに一致せず営業時間外なら、営業時間外のご案内を送る（未返信が続いている間は1回だけ）
+//
+// AUTO_REPLY_RULES（JSON配列）
+// 例: [{ "name": "営業時間", "keywords": ["営業時間", "何時まで"], "reply": "営業時間は平日9時〜18時です。", "markHandled": true },
+//      { "name": "送料", "pattern": "送料|配送料", "reply": "送料は全国一律500円です。" }]
+//   keywords: どれかを含めば一致（大文字小文字を区別しない）
+//   pattern: 正規表現（大文字小文字を区別しない）
+// 案内文・回答の {name} は送信者の表示名、{businessHours} は営業時間に置き換える
+
+function autoReplyRulesFromEnv(env = process.env) {
+  if (!env.AUTO_REPLY_RULES) return [];
+  let rules;
+  try {
+    rules = JSON.parse(env.AUTO_REPLY_RULES);
+  } catch (error) {
+    throw new Error(`AUTO_REPLY_RULES の JSON が不正です: ${error.message}`);
+  }
+  if (!Array.isArray(rules)) throw new Error('AUTO_REPLY_RULES は配列で指定してください');
+  return rules.map((rule, i) => {
+    const keywords = (rule.keywords || []).map(k => String(k).toLowerCase());
+    if (keywords.length === 0 && !rule.pattern) {
+      throw new Error(`AUTO_REPLY_RULES[${i}] には keywords か pattern を指定してください`);
+    }
+    if (!rule.reply) throw new Error(`AUTO_REPLY_RULES[${i}] の reply が空です`);
+    let pattern = null;
+    try {
+      if (rule.pattern) pattern = new RegExp(rule.pattern, 'i');
+    } catch (error) {
+      throw new Error(`AUTO_REPLY_RULES[${i}] の pattern が不正です: ${error.message}`);
+    }
+    return {
+      name: rule.name || `rule-${i + 1}`,
+      keywords,
+      pattern,
+      reply: rule.reply,
+      markHandled: !!rule.markHandled
+    };
+  });
+}
+
+function fillTemplate(template, values) {
+  return template.replace(/\{(\w+)\}/g, (match, key) => (values[key] != null ? values[key] : match));
+}
+
+// rules: autoReplyRulesFromEnv() の戻り値
+// outOfHoursMessage: 営業時間外のご案内（空なら送らない）
+// policy: リマインダーポリシー（lib/reminderPolicy.js。営業時間の判定に使う）
+function createAutoReplier({ rules = [], outOfHoursMessage = '', policy }) {
+  const hours = policy.options.businessHours;
+  const businessHours = hours ? `${hours.start}〜${hours.end}` : '終日';
+
+  function findRule(text) {
+    const lower = String(text).toLowerCase();
+    return rules.find(rule => rule.keywords.some(k => lower.includes(k)) || (rule.pattern && rule.pattern.test(text))) || null;
+  }
+
+  // 送る自動応答を決める（送らないなら null）
+  // message: { text, isText }（isText: テキストメッセージか。ルールはテキストだけに当てる）
+  // isFirstPending: 未返信のメッセージがこれだけか（営業時間外のご案内は未返信が続いている間は1回だけ）
+  // 戻り値: { kind: 'faq' | 'out_of_hours', rule: ルール名 | null, text, markHandled }
+  function decide({ message, displayName, isFirstPending, now }) {
+    const values = { name: displayName, businessHours };
+    const rule = message.isText ? findRule(message.text) : null;
+    if (rule) {
+      return { kind: 'faq', rule: rule.name, text: fillTemplate(rule.reply, values), markHandled: rule.markHandled };
+    }
+    if (outOfHoursMessage && isFirstPending && !policy.isWorkingTime(now)) {
+      return { kind: 'out_of_hours', rule: null, text: fillTemplate(outOfHoursMessage, values), markHandled: false };
+    }
+    return null;
+  }
+
+  return { decide };
+}
+
+module.exports = { autoReplyRulesFromEnv, createAutoReplier };
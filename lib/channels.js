@@ -0,0 +1,73 @@
+// ---------------------------------------------------
+// 複数の LINE 公式アカウント（チャネル）
+// ---------------------------------------------------
+// LINE_CHANNELS（JSON配列）で複数のチャネルを1つのプロセスで扱う。
+// 各チャネルの Webhook URL は /webhook/:channelKey。
+// 例: [{ "key": "shop-a", "name": "A店", "channelAccessToken": "...", "channelSecret": "...",
+//        "slackWebhookUrl": "https://hooks.slack.com/...", "slackChannelId": "C0123ABCD",  // slackChannelId は SLACK_BOT_TOKEN 使用時
+//        "reminderPolicy": { "firstReminderDelayMinutes": 60, "businessHours": { "start": "10:00", "end": "19:00" } },
+//        "welcomeMessage": "...", "outOfHoursMessage": "..." }]
+// LINE_CHANNELS が未設定なら LINE_CHANNEL_ACCESS_TOKEN / LINE_CHANNEL_SECRET の1チャネルだけ（key は "default"）。
+//
+// 会話のキーは「チャネルキー:userId（groupId/roomId）」。ただし先頭のチャネル（/webhook でも受ける）だけは
+// 従来どおり userId をそのままキーにするので、1チャネルで動かしていたときの会話はそのまま引き継がれる。
+
+const CHANNEL_KEY_PATTERN = /^[A-Za-z0-9_-]+$/;
+
+function lineChannelsFromEnv(env = process.env) {
+  if (!env.LINE_CHANNELS) {
+    return [{
+      key: 'default',
+      name: 'LINE',
+      channelAccessToken: env.LINE_CHANNEL_ACCESS_TOKEN,
+      channelSecret: env.LINE_CHANNEL_SECRET,
+      slackWebhookUrl: null,
+      slackChannelId: null,
+      reminderPolicy: {},
+      welcomeMessage: null,
+      outOfHoursMessage: null
+    }];
+  }
+
+  const channels = JSON.parse(env.LINE_CHANNELS);
+  if (!Array.isArray(channels) || channels.length === 0) {
+    throw new Error('LINE_CHANNELS は1件以上の配列で指定してください');
+  }
+  const keys = new Set();
+  return channels.map((channel, i) => {
+    if (!channel.key || !CHANNEL_KEY_PATTERN.test(channel.key)) {
+      throw new Error(`LINE_CHANNELS[${i}] の key は英数字・ハイフン・アンダースコアで指定してください: ${channel.key}`);
+    }
+    if (keys.has(channel.key)) throw new Error(`LINE_CHANNELS の key が重複しています: ${channel.key}`);
+    keys.add(channel.key);
+    return {
+      key: channel.key,
+      name: channel.name || channel.key,
+      channelAccessToken: channel.channelAccessToken,
+      channelSecret: channel.channelSecret,
+      slackWebhookUrl: channel.slackWebhookUrl || null,
+      slackChannelId: channel.slackChannelId || null,
+      reminderPolicy: channel.reminderPolicy || {},
+      welcomeMessage: channel.welcomeMessage != null ? channel.welcomeMessage : null,
+      outOfHoursMessage: channel.outOfHoursMessage != null ? channel.outOfHoursMessage : null
+    };
+  });
+}
+
+// primaryKey: 先頭のチャネルのキー
+function createConversationKeys(primaryKey) {
+  return {
+    // チャネルと LINE の ID（userId / groupId / roomId）から会話のキーを作る
+    keyFor(channelKey, lineId) {
+      return channelKey === primaryKey ? lineId : `${channelKey}:${lineId}`;
+    },
+    // 会話のキーを { channelKey, lineId } に分ける（LINE の ID に ":" は含まれない）
+    parse(key) {
+      const separator = key.indexOf(':');
+      if (separator < 0) return { channelKey: primaryKey, lineId: key };
+      return { channelKey: key.substring(0, separator), lineId: key.substring(separator + 1) };
+    }
+  };
+}
+
+module.exports = { lineChannelsFromEnv, createConversationKeys };
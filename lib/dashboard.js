@@ -0,0 +1,124 @@
+const { escapeHtml } = require('./html');
+const { formatDuration } = require('./duration');
+
+// ---------------------------------------------------
+// ダッシュボードのHTML
+// ---------------------------------------------------
+// ルーティングと状態の更新は app.js 側で行い、ここでは受け取ったデータを描画するだけ。
+// 外部から来た文字列（表示名・本文・担当者名）はすべて escapeHtml() を通す。
+
+const FILTERS = [
+  { key: 'pending', label: '未返信' },
+  { key: 'snoozed', label: 'スヌーズ中' },
+  { key: 'replied', label: '返信済み' },
+  { key: 'all', label: 'すべて' }
+];
+
+const STATUS_LABELS = { pending: '未返信', snoozed: 'スヌーズ中', replied: '返信済み' };
+
+const STYLE = `
+  body { font-family: sans-serif; max-width: 1100px; margin: 0 auto; padding: 20px; color: #333; }
+  h1 { font-size: 22px; }
+  table { width: 100%; border-collapse: collapse; margin: 16px 0; }
+  th, td { padding: 8px; border-bottom: 1px solid #eee; text-align: left; vertical-align: top; font-size: 14px; }
+  th { background: #f5f5f5; }
+  .filters a { display: inline-block; margin-right: 8px; padding: 6px 12px; border-radius: 4px; background: #eee; color: #333; text-decoration: none; }
+  .filters a.active { background: #4CAF50; color: white; }
+  .status { display: inline-block; padding: 2px 8px; border-radius: 10px; font-size: 12px; }
+  .status.pending { background: #ffe0e0; }
+  .status.snoozed { background: #fff3cd; }
+  .status.replied { background: #e0f5e0; }
+  .preview { color: #555; max-width: 380px; overflow: hidden; text-overflow: ellipsis; white-space: nowrap; }
+  .btn { padding: 8px 16px; background: #4CAF50; color: white; border: none; border-radius: 4px; font-weight: bold; cursor: pointer; }
+  .notice { padding: 10px; background: #e0f5e0; border-radius: 4px; }
+  .history { list-style: none; padding: 0; }
+  .history li { margin: 8px 0; padding: 10px; border-radius: 8px; max-width: 70%; }
+  .history li.user { background: #f5f5f5; }
+  .history li.staff { background: #e3f2fd; margin-left: auto; }
+  .time { color: #999; font-size: 12px; }
+  dl { display: grid; grid-template-columns: 140px 1fr; gap: 6px; }
+  dt { font-weight: bold; }
+`;
+
+function layout(title, body) {
+  return `<!DOCTYPE html>
+<html>
+<head>
+  <meta charset="utf-8">
+  <meta name="viewport" content="width=device-width, initial-scale=1">
+  <title>${escapeHtml(title)}</title>
+  <style>${STYLE}</style>
+</head>
+<body>
+${body}
+</body>
+</html>`;
+}
+
+// 一覧ページ
+// rows: [{ userId, displayName, status, waitMs, reminderCount, assigneeName, preview, pendingCount, lastMessageTime }]
+function renderDashboardPage({ filter, rows, counts, csrfToken, notice, formatTime }) {
+  const filterLinks = FILTERS
+    .map(f => `<a href="/dashboard?filter=${f.key}" class="${f.key === filter ? 'active' : ''}">${f.label}（${counts[f.key] || 0}）</a>`)
+    .join('');
+
+  const tableRows = rows.map(row => `
+      <tr>
+        <td>${row.status !== 'replied' ? `<input type="checkbox" name="userIds" value="${escapeHtml(row.userId)}">` : ''}</td>
+        <td><a href="/dashboard/conversations/${encodeURIComponent(row.userId)}">${escapeHtml(row.displayName)}</a></td>
+        <td><span class="status ${row.status}">${STATUS_LABELS[row.status]}</span></td>
+        <td>${row.status === 'replied' ? '-' : formatDuration(row.waitMs)}</td>
+        <td>${row.reminderCount}</td>
+        <td>${escapeHtml(row.assigneeName)}</td>
+        <td class="preview">${escapeHtml(row.preview)}${row.pendingCount > 1 ? `（他${row.pendingCount - 1}件）` : ''}</td>
+        <td class="time">${row.lastMessageTime ? formatTime(row.lastMessageTime) : '-'}</td>
+      </tr>`).join('');
+
+  return layout('LINEリマインダー ダッシュボード', `
+  <h1>LINEリマインダー ダッシュボード</h1>
+  ${notice ? `<p class="notice">${escapeHtml(notice)}</p>` : ''}
+  <div class="filters">${filterLinks}</div>
+  <form action="/dashboard/mark-as-replied" method="post">
+    <input type="hidden" name="csrfToken" value="${escapeHtml(csrfToken)}">
+    <input type="hidden" name="filter" value="${escapeHtml(filter)}">
+    <table>
+      <thead>
+        <tr><th></th><th>ユーザー</th><th>状態</th><th>待ち時間</th><th>リマインダー</th><th>担当</th><th>メッセージ</th><th>最終受信</th></tr>
+      </thead>
+      <tbody>${tableRows || '<tr><td colspan="8">該当する会話はありません</td></tr>'}</tbody>
+    </table>
+    <button type="submit" class="btn">選択した会話を返信済みにする</button>
+  </form>`);
+}
+
+// 詳細ページ（メッセージ履歴）
+function renderConversationDetail({ userId, conversation, status, waitMs, assigneeName, csrfToken, formatTime, mediaUrl }) {
+  const c = conversation;
+  const history = (c.messages || []).map(m => `
+      <li class="${m.from === 'staff' ? 'staff' : 'user'}">
+        ${escapeHtml(m.text)}${m.media ? ` <a href="${escapeHtml(mediaUrl(m.media))}" target="_blank">開く</a>` : ''}
+        <div class="time">${m.from === 'staff' ? `返信 ${escapeHtml(m.sentBy || '')}` : '受信'} ${formatTime(m.timestamp)}</div>
+      </li>`).join('');
+
+  return layout(`${c.displayName} - LINEリマインダー`, `
+  <p><a href="/dashboard">← 一覧に戻る</a></p>
+  <h1>${escapeHtml(c.displayName || 'Unknown User')}</h1>
+  <dl>
+    <dt>userId</dt><dd>${escapeHtml(userId)}</dd>
+    <dt>状態</dt><dd><span class="status ${status}">${STATUS_LABELS[status]}</span></dd>
+    <dt>未返信</dt><dd>${(c.pendingMessages || []).length}件${status === 'replied' ? '' : `（待ち時間 ${formatDuration(waitMs)}）`}</dd>
+    <dt>リマインダー</dt><dd>${c.reminderCount || 0}回${c.lastReminderTime ? `（最終 ${formatTime(c.lastReminderTime)}）` : ''}</dd>
+    <dt>担当</dt><dd>${escapeHtml(assigneeName)}</dd>
+    <dt>スヌーズ</dt><dd>${status === 'snoozed' ? `${formatTime(c.snoozedUntil)} まで` : 'なし'}</dd>
+  </dl>
+  ${status !== 'replied' ? `
+  <form action="/dashboard/mark-as-replied" method="post">
+    <input type="hidden" name="csrfToken" value="${escapeHtml(csrfToken)}">
+    <input type="hidden" name="userIds" value="${escapeHtml(userId)}">
+    <button type="submit" class="btn">返信済みにする</button>
+  </form>` : ''}
+  <h2>メッセージ履歴</h2>
+  <ul class="history">${history || '<li>履歴はありません</li>'}</ul>`);
+}
+
+module.exports = { renderDashboardPage, renderConversationDetail, FILTERS };
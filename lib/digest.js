@@ -0,0 +1,69 @@
+const { formatDuration } = require('./duration');
+
+// ---------------------------------------------------
+// 日次・週次のサマリー（ダイジェスト）
+// ---------------------------------------------------
+// 会話は返信済みになると数日で削除されるので、集計には app.js が記録する
+// アクティビティ（受信・返信・リマインダー）を使う。未返信の件数と待ち時間は現在の会話から求める。
+//
+// activity: { type: 'received' | 'replied' | 'reminder', key, displayName, timestamp, waitMs? }
+
+const TOP_COUNT = 5;
+
+// ソート済みの配列から p パーセンタイル（nearest-rank）
+function percentile(sorted, p) {
+  if (sorted.length === 0) return null;
+  return sorted[Math.max(0, Math.ceil((p / 100) * sorted.length) - 1)];
+}
+
+// since〜now の集計
+// pending: [{ key, displayName, waitingSince }]（現在未返信の会話）
+function buildDigest({ activities, pending, since, now }) {
+  const inRange = activities.filter(a => a.timestamp >= since && a.timestamp < now);
+  const replies = inRange.filter(a => a.type === 'replied');
+  const waits = replies.map(a => a.waitMs).filter(ms => ms != null).sort((a, b) => a - b);
+
+  const reminderCounts = {};
+  for (const a of inRange.filter(a => a.type === 'reminder')) {
+    if (!reminderCounts[a.key]) reminderCounts[a.key] = { key: a.key, displayName: a.displayName, count: 0 };
+    reminderCounts[a.key].count++;
+  }
+
+  return {
+    since,
+    until: now,
+    receivedCount: inRange.filter(a => a.type === 'received').length,
+    repliedCount: replies.length,
+    pendingCount: pending.length,
+    medianReplyMs: percentile(waits, 50),
+    p90ReplyMs: percentile(waits, 90),
+    longestWaits: pending
+      .map(p => ({ key: p.key, displayName: p.displayName, waitMs: now - p.waitingSince }))
+      .sort((a, b) => b.waitMs - a.waitMs)
+      .slice(0, TOP_COUNT),
+    mostReminded: Object.values(reminderCounts)
+      .sort((a, b) => b.count - a.count)
+      .slice(0, TOP_COUNT)
+  };
+}
+
+// Slackに投稿するテキスト
+function formatDigestMessage(digest, { title, formatTime }) {
+  const lines = [
+    `📊 *${title}*（${formatTime(digest.since)} 〜 ${formatTime(digest.until)}）`,
+    `受信: ${digest.receivedCount}件 ／ 返信: ${digest.repliedCount}件 ／ 未返信: ${digest.pendingCount}件`,
+    `返信までの時間: 中央値 ${formatDuration(digest.medianReplyMs)} ／ 90パーセンタイル ${formatDuration(digest.p90ReplyMs)}`
+  ];
+
+  if (digest.longestWaits.length > 0) {
+    lines.push('', '*待ち時間の長い会話*');
+    digest.longestWaits.forEach((w, i) => lines.push(`${i + 1}. ${w.displayName || w.key}（${formatDuration(w.waitMs)}）`));
+  }
+  if (digest.mostReminded.length > 0) {
+    lines.push('', '*リマインダーの多かった相手*');
+    digest.mostReminded.forEach((r, i) => lines.push(`${i + 1}. ${r.displayName || r.key}（${r.count}回）`));
+  }
+  return lines.join('\n');
+}
+
+module.exports = { buildDigest, formatDigestMessage };
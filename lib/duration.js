@@ -0,0 +1,18 @@
+// ---------------------------------------------------
+// 時間の長さの表示
+// ---------------------------------------------------
+// ダッシュボードと日次・週次サマリーで同じ表記にするためのヘルパー
+
+// 待ち時間を「2時間15分」のように表示
+function formatDuration(ms) {
+  if (ms == null) return '-';
+  const totalMinutes = Math.floor(ms / (60 * 1000));
+  const days = Math.floor(totalMinutes / (24 * 60));
+  const hours = Math.floor((totalMinutes % (24 * 60)) / 60);
+  const minutes = totalMinutes % 60;
+  if (days > 0) return `${days}日${hours}時間`;
+  if (hours > 0) return `${hours}時間${minutes}分`;
+  return `${minutes}分`;
+}
+
+module.exports = { formatDuration };
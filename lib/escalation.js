@@ -0,0 +1,60 @@
+// ---------------------------------------------------
+// エスカレーション
+// ---------------------------------------------------
+// リマインダーの送信回数や経過時間に応じて、送信先・メンション・見出しを段階的に変える。
+// ESCALATION_LEVELS に JSON 配列で定義する（下にあるものほど上位のレベル）:
+// [
+//   { "name": "注意", "minReminderCount": 3, "mentions": ["<!here>"], "prefix": "⚠️【要対応】" },
+//   { "name": "緊急", "minElapsedMinutes": 720, "webhookUrl": "https://hooks.slack.com/...",
+//     "mentions": ["<@U0123ABCD>", "<!subteam^S0123ABCD>"], "prefix": "🚨【緊急】" }
+// ]
+// minReminderCount と minElapsedMinutes はどちらか一方を満たせばそのレベルになる。
+// 経過時間は営業時間換算（reminderPolicy.evaluate() の workingElapsedMs）を渡す想定。
+
+const BASE_LEVEL = { index: 0, name: '標準', prefix: null, webhookUrl: null, mentions: [] };
+
+function escalationLevelsFromEnv(env = process.env) {
+  if (!env.ESCALATION_LEVELS) return [];
+  let levels;
+  try {
+    levels = JSON.parse(env.ESCALATION_LEVELS);
+  } catch (error) {
+    throw new Error(`ESCALATION_LEVELS の JSON が不正です: ${error.message}`);
+  }
+  if (!Array.isArray(levels)) {
+    throw new Error('ESCALATION_LEVELS は配列で指定してください');
+  }
+  return levels;
+}
+
+function createEscalationPolicy(levels = []) {
+  const normalized = levels.map((level, i) => {
+    if (level.minReminderCount == null && level.minElapsedMinutes == null) {
+      throw new Error(`エスカレーションレベル${i + 1}に minReminderCount か minElapsedMinutes が必要です`);
+    }
+    return {
+      index: i + 1,
+      name: level.name || `レベル${i + 1}`,
+      prefix: level.prefix || null,
+      webhookUrl: level.webhookUrl || null,
+      mentions: level.mentions || [],
+      minReminderCount: level.minReminderCount,
+      minElapsedMinutes: level.minElapsedMinutes
+    };
+  });
+
+  // 条件を満たす最も上位のレベルを返す（どれも満たさなければ標準レベル）
+  function levelFor({ reminderCount = 0, elapsedMs = 0 }) {
+    let matched = BASE_LEVEL;
+    for (const level of normalized) {
+      const byCount = level.minReminderCount != null && reminderCount >= level.minReminderCount;
+      const byElapsed = level.minElapsedMinutes != null && elapsedMs >= level.minElapsedMinutes * 60 * 1000;
+      if (byCount || byElapsed) matched = level;
+    }
+    return matched;
+  }
+
+  return { levels: normalized, levelFor };
+}
+
+module.exports = { createEscalationPolicy, escalationLevelsFromEnv };
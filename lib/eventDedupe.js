@@ -0,0 +1,85 @@
+// ---------------------------------------------------
+// Webhook イベントの重複排除
+// ---------------------------------------------------
+// LINE は応答が遅れたときなどに同じイベントを再送する（deliveryContext.isRedelivery）。
+// 処理済みの webhookEventId を覚えておき、同じ ID は二度処理しない。
+// 保存期間（ttlMs）を過ぎたものと、上限（maxEntries）を超えた古いものから捨てる。
+//
+// 使い方: claim() で処理中にし、処理できたら complete()、失敗したら release()。
+// 失敗したイベントは処理済みにしないので、LINE の再送で処理し直せる。
+// 処理済みの ID はメモリに持ち、ストアの processedEvents には persistIntervalMs ごとにまとめて書き出す
+// （イベントごとに書かない。終了時には persist() を呼ぶ）。
+
+function createEventDeduper({ store, ttlMs, maxEntries, persistIntervalMs = 10 * 1000, log = () => {} }) {
+  // webhookEventId -> processedAt（処理した順。古いものから捨てるため Map の順序を使う）
+  const stored = store.load('processedEvents');
+  const processed = new Map(Object.keys(stored).sort((a, b) => stored[a] - stored[b]).map(id => [id, stored[id]]));
+  const inFlight = new Set();
+  const dirty = new Set(); // ストアに書き出していない ID（追加・削除とも）
+
+  function forget(id) {
+    processed.delete(id);
+    dirty.add(id);
+  }
+
+  // まだ書き出していない変更をストアに書き出す
+  function persist() {
+    for (const id of dirty) {
+      try {
+        if (processed.has(id)) {
+          store.put('processedEvents', id, processed.get(id));
+        } else {
+          store.remove('processedEvents', id);
+        }
+        dirty.delete(id);
+      } catch (error) {
+        log(`処理済みイベントの保存失敗: webhookEventId=${id}, error=${error.message}`);
+        return;
+      }
+    }
+  }
+
+  const timer = setInterval(persist, persistIntervalMs);
+  if (timer.unref) timer.unref();
+
+  // 未処理で処理中でもなければ処理中にして true、処理済み・処理中なら false
+  function claim(id, now = Date.now()) {
+    if (inFlight.has(id)) return false;
+    if (processed.has(id) && now - processed.get(id) < ttlMs) return false;
+    inFlight.add(id);
+    return true;
+  }
+
+  // 処理できたら処理済みとして記録する
+  function complete(id, now = Date.now()) {
+    inFlight.delete(id);
+    processed.delete(id); // 期限切れで処理し直したものを末尾に回す
+    processed.set(id, now);
+    dirty.add(id);
+    while (processed.size > maxEntries) {
+      forget(processed.keys().next().value);
+    }
+  }
+
+  // 処理に失敗したら処理中を解除する（再送されたら処理し直す）
+  function release(id) {
+    inFlight.delete(id);
+  }
+
+  // 保存期間を過ぎたものを削除して件数を返す
+  function cleanup(now = Date.now()) {
+    let removed = 0;
+    for (const [id, processedAt] of processed) {
+      if (now - processedAt >= ttlMs) {
+        forget(id);
+        removed++;
+      }
+    }
+    persist();
+    return removed;
+  }
+
+  return { claim, complete, release, cleanup, persist, size: () => processed.size };
+}
+
+module.exports = { createEventDeduper };
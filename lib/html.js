@@ -0,0 +1,15 @@
+// ---------------------------------------------------
+// HTML 出力用のヘルパー
+// ---------------------------------------------------
+
+// LINE の表示名やメッセージ本文など、外部から来た文字列は必ずこれを通して埋め込む
+function escapeHtml(value) {
+  return String(value == null ? '' : value)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&#39;');
+}
+
+module.exports = { escapeHtml };
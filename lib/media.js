@@ -0,0 +1,129 @@
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+
+// ---------------------------------------------------
+// LINE のメッセージ種別ごとの要約とメディアの保存
+// ---------------------------------------------------
+// 画像・動画・音声・ファイルは getMessageContent() で取得してローカルに一定期間だけ保存し、
+// 署名付きURL（/media/:fileName?expires=...&sig=...）から開けるようにする。
+
+const EXTENSIONS = { image: '.jpg', video: '.mp4', audio: '.m4a' };
+const CONTENT_TYPES = {
+  '.jpg': 'image/jpeg',
+  '.png': 'image/png',
+  '.gif': 'image/gif',
+  '.mp4': 'video/mp4',
+  '.m4a': 'audio/mp4',
+  '.pdf': 'application/pdf'
+};
+
+function formatBytes(size) {
+  if (size == null) return '';
+  if (size < 1024) return `${size}B`;
+  if (size < 1024 * 1024) return `${(size / 1024).toFixed(1)}KB`;
+  return `${(size / (1024 * 1024)).toFixed(1)}MB`;
+}
+
+// Slack・確認ページ・リマインダーで使う1行の要約
+function summarizeLineMessage(message) {
+  switch (message.type) {
+    case 'text':
+      return message.text;
+    case 'image':
+      return '[画像]';
+    case 'video':
+      return '[動画]';
+    case 'audio':
+      return `[音声${message.duration ? ` ${Math.round(message.duration / 1000)}秒` : ''}]`;
+    case 'file':
+      return `[ファイル] ${message.fileName}（${formatBytes(message.fileSize)}）`;
+    case 'location':
+      return `[位置情報] ${[message.title, message.address].filter(Boolean).join(' ')}`
+        + ` https://www.google.com/maps?q=${message.latitude},${message.longitude}`;
+    case 'sticker':
+      return `[スタンプ]${Array.isArray(message.keywords) && message.keywords.length > 0 ? ` ${message.keywords.slice(0, 3).join(', ')}` : ''}`;
+    default:
+      return `[${message.type}]`;
+  }
+}
+
+// getMessageContent() で中身を取得できる種別か
+function hasMessageContent(message) {
+  if (!['image', 'video', 'audio', 'file'].includes(message.type)) return false;
+  // 外部URLで送られた画像などは LINE 側に中身がない
+  return !message.contentProvider || message.contentProvider.type === 'line';
+}
+
+// createDir: false なら保存先のディレクトリを作らない（シミュレーションなど、保存しない場合）
+function createMediaStore({ dir, retentionMs, secret, createDir = true }) {
+  if (createDir) fs.mkdirSync(dir, { recursive: true });
+
+  function sign(fileName, expires) {
+    return crypto.createHmac('SHA256', secret).update(`${fileName}:${expires}`).digest('hex');
+  }
+
+  // stream を保存して { fileName, originalName, size, savedAt } を返す
+  async function save(message, stream) {
+    const ext = message.type === 'file'
+      ? (path.extname(message.fileName || '').toLowerCase() || '.bin')
+      : EXTENSIONS[message.type];
+    // メッセージIDは数字だけなのでそのままファイル名に使える
+    const fileName = `${String(message.id).replace(/[^0-9A-Za-z_-]/g, '')}${ext}`;
+    const filePath = path.join(dir, fileName);
+
+    await new Promise((resolve, reject) => {
+      const out = fs.createWriteStream(filePath);
+      stream.on('error', reject);
+      out.on('error', reject);
+      out.on('finish', resolve);
+      stream.pipe(out);
+    });
+
+    return {
+      fileName,
+      originalName: message.fileName || fileName,
+      size: fs.statSync(filePath).size,
+      savedAt: Date.now()
+    };
+  }
+
+  // 保存期間が終わるまで有効な署名付きURL（baseUrl なしなら相対パス）
+  function signedUrl(media, baseUrl = '') {
+    const expires = media.savedAt + retentionMs;
+    return `${baseUrl}/media/${encodeURIComponent(media.fileName)}?expires=${expires}&sig=${sign(media.fileName, expires)}`;
+  }
+
+  // 署名と期限を確認してファイルのパスを返す（不正・期限切れ・削除済みなら null）
+  function resolveSigned(fileName, expires, sig, now = Date.now()) {
+    if (!fileName || fileName !== path.basename(fileName)) return null;
+    if (!expires || Number(expires) < now) return null;
+    const expected = Buffer.from(sign(fileName, expires));
+    const actual = Buffer.from(String(sig || ''));
+    if (expected.length !== actual.length || !crypto.timingSafeEqual(expected, actual)) return null;
+    const filePath = path.join(dir, fileName);
+    return fs.existsSync(filePath) ? filePath : null;
+  }
+
+  function contentTypeOf(fileName) {
+    return CONTENT_TYPES[path.extname(fileName).toLowerCase()] || 'application/octet-stream';
+  }
+
+  // 保存期間を過ぎたファイルを削除して件数を返す
+  function cleanup(now = Date.now()) {
+    let removed = 0;
+    if (!fs.existsSync(dir)) return removed;
+    for (const fileName of fs.readdirSync(dir)) {
+      const filePath = path.join(dir, fileName);
+      if (now - fs.statSync(filePath).mtimeMs > retentionMs) {
+        fs.unlinkSync(filePath);
+        removed++;
+      }
+    }
+    return removed;
+  }
+
+  return { save, signedUrl, resolveSigned, contentTypeOf, cleanup };
+}
+
+module.exports = { summarizeLineMessage, hasMessageContent, createMediaStore };
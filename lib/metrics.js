@@ -0,0 +1,89 @@
+// ---------------------------------------------------
+// Prometheus 形式のメトリクス
+// ---------------------------------------------------
+// 外部ライブラリは使わず、必要な counter / gauge / histogram だけを持つ。
+// カウンターはプロセス内のメモリにだけあるので、再起動すると 0 に戻る（Prometheus 側で rate() を使う前提）。
+// gauge は値を持たず、/metrics を読むたびに collect() で現在の状態から求める。
+
+function escapeLabelValue(value) {
+  return String(value).replace(/\\/g, '\\\\').replace(/\n/g, '\\n').replace(/"/g, '\\"');
+}
+
+function formatLabels(labels) {
+  const keys = Object.keys(labels);
+  if (keys.length === 0) return '';
+  return `{${keys.map(k => `${k}="${escapeLabelValue(labels[k])}"`).join(',')}}`;
+}
+
+function labelsKey(labels) {
+  return JSON.stringify(Object.keys(labels).sort().map(k => [k, String(labels[k])]));
+}
+
+function createMetricsRegistry(prefix = '') {
+  const metrics = [];
+
+  function counter(name, help) {
+    const values = new Map(); // labelsKey -> { labels, value }
+    metrics.push({
+      name: prefix + name,
+      help,
+      type: 'counter',
+      lines: () => [...values.values()].map(v => `${prefix}${name}${formatLabels(v.labels)} ${v.value}`)
+    });
+    return {
+      inc(labels = {}, amount = 1) {
+        const key = labelsKey(labels);
+        if (!values.has(key)) values.set(key, { labels, value: 0 });
+        values.get(key).value += amount;
+      }
+    };
+  }
+
+  // collect: () => [{ labels, value }]
+  function gauge(name, help, collect) {
+    metrics.push({
+      name: prefix + name,
+      help,
+      type: 'gauge',
+      lines: () => collect().map(v => `${prefix}${name}${formatLabels(v.labels || {})} ${v.value}`)
+    });
+  }
+
+  // buckets: 上限値の昇順リスト（+Inf は自動で足す）
+  function histogram(name, help, buckets) {
+    const counts = buckets.map(() => 0);
+    let sum = 0;
+    let count = 0;
+    metrics.push({
+      name: prefix + name,
+      help,
+      type: 'histogram',
+      lines: () => [
+        ...buckets.map((le, i) => `${prefix}${name}_bucket{le="${le}"} ${counts[i]}`),
+        `${prefix}${name}_bucket{le="+Inf"} ${count}`,
+        `${prefix}${name}_sum ${sum}`,
+        `${prefix}${name}_count ${count}`
+      ]
+    });
+    return {
+      observe(value) {
+        buckets.forEach((le, i) => {
+          if (value <= le) counts[i]++;
+        });
+        sum += value;
+        count++;
+      }
+    };
+  }
+
+  // text/plain; version=0.0.4 の本文
+  function render() {
+    return metrics
+      .map(m => [`# HELP ${m.name} ${m.help}`, `# TYPE ${m.name} ${m.type}`, ...m.lines()].join('\n'))
+      .join('\n') + '\n';
+  }
+
+  return { counter, gauge, histogram, render };
+}
+
+module.exports = { createMetricsRegistry };
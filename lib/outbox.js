@@ -0,0 +1,174 @@
+const crypto = require('crypto');
+
+// ---------------------------------------------------
+// 通知のアウトボックス（再送とデッドレター）
+// ---------------------------------------------------
+// 通知はチャネルごとに1件ずつストアの outbox に書いてから送る。送信に失敗したものは
+// 指数バックオフ（Slack の 429 なら Retry-After の秒数）で deliverDue() が再送し、
+// maxAttempts 回失敗したもの・再送しても無駄なエラー（429/408 以外の 4xx）は deadLetters に移す。
+// デッドレターは replay() で outbox に戻せる。
+//
+// entry: {
+//   id, channel, notification, // notification は lib/notifiers.js の形式
+//   meta,                      // 送信成功時に onDelivered() で使う情報（リマインダーの記録など）
+//   attempts, nextAttemptAt, createdAt, lastError, deadAt?
+// }
+
+const DEFAULT_OPTIONS = {
+  maxAttempts: 8,
+  baseDelayMs: 30 * 1000,   // 1回目の失敗から30秒、以降は倍々
+  maxDelayMs: 60 * 60 * 1000
+};
+
+// HTTP のステータスから再送までの待ち時間を決める（null なら再送しない）
+function retryDelay(error, attempts, options) {
+  const backoff = Math.min(options.maxDelayMs, options.baseDelayMs * 2 ** (attempts - 1));
+  const response = error.response;
+  if (!response) return backoff; // ネットワークエラー・SMTP など
+  if (response.status === 429) {
+    const retryAfter = Number(response.headers && response.headers['retry-after']);
+    return retryAfter > 0 ? retryAfter * 1000 : backoff;
+  }
+  if (response.status >= 400 && response.status < 500 && response.status !== 408) return null;
+  return backoff;
+}
+
+// send(entry): 実際の送信（失敗したら例外）。false を返すと、送る必要がなくなったものとして再送せずに捨てる
+// onDelivered(entry) / onDead(entry): 送信成功・デッドレター行きのときに呼ぶ（捨てたものはどちらも呼ばない）
+function createOutbox({ store, send, onDelivered = () => {}, onDead = () => {}, log = () => {}, ...overrides }) {
+  const options = { ...DEFAULT_OPTIONS, ...overrides };
+  const entries = store.load('outbox');
+  const deadLetters = store.load('deadLetters');
+  const sending = new Set(); // 送信中の id（enqueue 直後の1回目と deliverDue が重ならないように）
+  const queued = new Set();  // enqueue が1回目を送る順番を待っている id（deliverDue では送らない）
+  let isDelivering = false;
+
+  function save(collection, items, id) {
+    try {
+      if (items[id]) {
+        store.put(collection, id, items[id]);
+      } else {
+        store.remove(collection, id);
+      }
+    } catch (error) {
+      log(`アウトボックス保存失敗: collection=${collection}, id=${id}, error=${error.message}`);
+    }
+  }
+
+  // 1件送る。戻り値: 'sent' | 'skipped'（送る必要がなくなって捨てた） | 'failed'（再送待ち・デッドレター・送信中）
+  async function attempt(id, now = Date.now()) {
+    const entry = entries[id];
+    if (!entry || sending.has(id)) return 'failed';
+    entry.attempts++;
+    sending.add(id);
+    let result;
+    try {
+      result = await send(entry);
+    } catch (error) {
+      entry.lastError = error.message;
+      const delay = entry.attempts < options.maxAttempts ? retryDelay(error, entry.attempts, options) : null;
+      if (delay == null) {
+        delete entries[id];
+        deadLetters[id] = { ...entry, deadAt: now };
+        save('outbox', entries, id);
+        save('deadLetters', deadLetters, id);
+        log(`通知をデッドレターに移動: id=${id}, channel=${entry.channel}, attempts=${entry.attempts}, error=${error.message}`);
+        onDead(deadLetters[id]);
+      } else {
+        entry.nextAttemptAt = now + delay;
+        save('outbox', entries, id);
+        log(`通知の再送を予約: id=${id}, channel=${entry.channel}, attempts=${entry.attempts}, ${Math.round(delay / 1000)}秒後`);
+      }
+      return 'failed';
+    } finally {
+      sending.delete(id);
+    }
+    delete entries[id];
+    save('outbox', entries, id);
+    if (result === false) {
+      log(`送る必要がなくなった通知を破棄: id=${id}, channel=${entry.channel}`);
+      return 'skipped';
+    }
+    onDelivered(entry);
+    return 'sent';
+  }
+
+  // 通知をチャネルごとに outbox に書き、すぐに1回目を送る
+  // 前のチャネルに送っている間に deliverDue が後のチャネルを先に送らないよう、1回目を送るまでは queued に入れておく
+  // 戻り値: [{ channel, ok, skipped?, error? }]
+  async function enqueue(notification, channels, meta = null) {
+    const now = Date.now();
+    const owned = channels.map(channel => {
+      const id = `${now}-${crypto.randomBytes(4).toString('hex')}`;
+      const entry = { id, channel, notification, meta, attempts: 0, nextAttemptAt: now, createdAt: now, lastError: null };
+      entries[id] = entry;
+      queued.add(id);
+      save('outbox', entries, id);
+      return entry;
+    });
+    const results = [];
+    for (const entry of owned) {
+      queued.delete(entry.id);
+      const result = await attempt(entry.id);
+      if (result === 'sent') results.push({ channel: entry.channel, ok: true });
+      else if (result === 'skipped') results.push({ channel: entry.channel, ok: false, skipped: true });
+      else results.push({ channel: entry.channel, ok: false, error: entry.lastError });
+    }
+    return results;
+  }
+
+  // 再送の時刻が来たものを送る（cron から呼ぶ）
+  async function deliverDue(now = Date.now()) {
+    if (isDelivering) return 0;
+    isDelivering = true;
+    let delivered = 0;
+    try {
+      const due = Object.values(entries)
+        .filter(e => e.nextAttemptAt <= now && !sending.has(e.id) && !queued.has(e.id))
+        .sort((a, b) => a.createdAt - b.createdAt);
+      for (const entry of due) {
+        if (await attempt(entry.id, now) === 'sent') delivered++;
+      }
+    } finally {
+      isDelivering = false;
+    }
+    return delivered;
+  }
+
+  // デッドレターを outbox に戻して送り直す
+  async function replay(id) {
+    const dead = deadLetters[id];
+    if (!dead) return null;
+    delete deadLetters[id];
+    save('deadLetters', deadLetters, id);
+    const { deadAt, ...entry } = dead;
+    entries[id] = { ...entry, attempts: 0, nextAttemptAt: Date.now() };
+    save('outbox', entries, id);
+    log(`デッドレターを再送: id=${id}, channel=${entry.channel}`);
+    return { channel: entry.channel, ok: await attempt(id) === 'sent' };
+  }
+
+  function discard(id) {
+    if (!deadLetters[id]) return false;
+    delete deadLetters[id];
+    save('deadLetters', deadLetters, id);
+    return true;
+  }
+
+  // 条件に合う未送信の通知があるか（meta で絞り込む）
+  function hasPending(predicate) {
+    return Object.values(entries).some(e => predicate(e.meta || {}));
+  }
+
+  return {
+    enqueue,
+    deliverDue,
+    replay,
+    discard,
+    hasPending,
+    pending: () => Object.values(entries),
+    deadLetters: () => Object.values(deadLetters)
+  };
+}
+
+module.exports = { createOutbox };
@@ -0,0 +1,150 @@
+// ---------------------------------------------------
+// メッセージの緊急度（優先度）
+// ---------------------------------------------------
+// 受信したメッセージをルールで high / normal / low に分類する。
+// 1) PRIORITY_RULES のキーワード・正規表現に一致したら、そのルールの優先度
+// 2) 「返信不要」のフレーズ（ありがとう・了解など）だけのメッセージとスタンプは low
+// 3) それ以外は normal
+// 会話の優先度は未返信のメッセージの中で最も高いもの。
+//
+// PRIORITY_RULES（JSON配列、上から順に判定。未設定なら DEFAULT_RULES）
+// 例: [{ "name": "至急", "priority": "high", "keywords": ["至急", "緊急"], "pattern": "cancel|キャンセル" }]
+//   keywords: どれかを含めば一致（大文字小文字を区別しない）、pattern: 正規表現（大文字小文字を区別しない）
+// NO_REPLY_NEEDED_PHRASES（カンマ区切り）: 記号・空白・絵文字を除いてこれと一致するメッセージは low
+// PRIORITY_LEVELS（JSON）: 優先度ごとのリマインダー間隔と Slack の見出しを上書きする
+// 例: { "high": { "firstReminderDelayMinutes": 15, "repeatIntervalMinutes": 30, "slackPrefix": "🔥【至急】" } }
+//   firstReminderDelayMinutes / repeatIntervalMinutes が null ならリマインダーポリシーの設定のまま
+//   remind: false ならリマインダーを送らない
+
+const { parseNonNegativeNumber } = require('./reminderPolicy');
+
+const PRIORITIES = ['high', 'normal', 'low']; // 高い順
+
+const DEFAULT_LEVELS = {
+  high: { label: '至急', slackPrefix: '🚨【至急】', firstReminderDelayMinutes: 30, repeatIntervalMinutes: 60, remind: true },
+  normal: { label: '通常', slackPrefix: null, firstReminderDelayMinutes: null, repeatIntervalMinutes: null, remind: true },
+  low: { label: '返信不要？', slackPrefix: '💬【返信不要？】', firstReminderDelayMinutes: null, repeatIntervalMinutes: null, remind: false }
+};
+
+const DEFAULT_RULES = [
+  { name: '至急', priority: 'high', keywords: ['至急', '緊急', '大至急', '急ぎ', 'キャンセル', '解約', 'urgent', 'asap', 'cancel'] }
+];
+
+const DEFAULT_NO_REPLY_PHRASES = [
+  'ありがとう', 'ありがとうございます', 'ありがとうございました', '了解', '了解です', '了解しました',
+  '承知しました', 'わかりました', 'ok', 'okです', 'thanks', 'thankyou', 'thx'
+];
+
+function parseList(value) {
+  return String(value).split(',').map(v => v.trim()).filter(Boolean);
+}
+
+// 比較用に小文字にして、空白・記号・絵文字を取り除く
+function normalizePhrase(text) {
+  return String(text).toLowerCase().replace(/[\s!！?？。、.,~〜♪☆★…・]+|\p{Extended_Pictographic}/gu, '');
+}
+
+function priorityRulesFromEnv(env = process.env) {
+  if (!env.PRIORITY_RULES) return DEFAULT_RULES;
+  let rules;
+  try {
+    rules = JSON.parse(env.PRIORITY_RULES);
+  } catch (error) {
+    throw new Error(`PRIORITY_RULES の JSON が不正です: ${error.message}`);
+  }
+  if (!Array.isArray(rules)) throw new Error('PRIORITY_RULES は配列で指定してください');
+  return rules;
+}
+
+function noReplyPhrasesFromEnv(env = process.env) {
+  return env.NO_REPLY_NEEDED_PHRASES !== undefined ? parseList(env.NO_REPLY_NEEDED_PHRASES) : DEFAULT_NO_REPLY_PHRASES;
+}
+
+function priorityLevelsFromEnv(env = process.env) {
+  if (!env.PRIORITY_LEVELS) return {};
+  let levels;
+  try {
+    levels = JSON.parse(env.PRIORITY_LEVELS);
+  } catch (error) {
+    throw new Error(`PRIORITY_LEVELS の JSON が不正です: ${error.message}`);
+  }
+  const isObject = value => value !== null && typeof value === 'object' && !Array.isArray(value);
+  if (!isObject(levels)) throw new Error('PRIORITY_LEVELS はオブジェクトで指定してください');
+  Object.keys(levels).forEach(key => {
+    if (!PRIORITIES.includes(key)) throw new Error(`PRIORITY_LEVELS の優先度が不正です: ${key}（${PRIORITIES.join(' / ')}）`);
+    if (!isObject(levels[key])) throw new Error(`PRIORITY_LEVELS.${key} はオブジェクトで指定してください`);
+    // null はリマインダーポリシーの設定のまま。それ以外はポリシーと同じく0以上の数値に限る
+    ['firstReminderDelayMinutes', 'repeatIntervalMinutes'].forEach(field => {
+      if (levels[key][field] != null) {
+        levels[key][field] = parseNonNegativeNumber(`PRIORITY_LEVELS.${key}.${field}`, levels[key][field]);
+      }
+    });
+  });
+  return levels;
+}
+
+function createPriorityClassifier({ rules = DEFAULT_RULES, noReplyPhrases = DEFAULT_NO_REPLY_PHRASES, levels = {} } = {}) {
+  const normalizedRules = rules.map((rule, i) => {
+    if (!PRIORITIES.includes(rule.priority)) {
+      throw new Error(`優先度のルール${i + 1}の priority が不正です: ${rule.priority}（${PRIORITIES.join(' / ')}）`);
+    }
+    const keywords = (rule.keywords || []).map(k => String(k).toLowerCase());
+    if (keywords.length === 0 && !rule.pattern) throw new Error(`優先度のルール${i + 1}に keywords か pattern が必要です`);
+    let pattern = null;
+    try {
+      if (rule.pattern) pattern = new RegExp(rule.pattern, 'i');
+    } catch (error) {
+      throw new Error(`優先度のルール${i + 1}の pattern が不正です: ${error.message}`);
+    }
+    return {
+      name: rule.name || `rule-${i + 1}`,
+      priority: rule.priority,
+      keywords,
+      pattern
+    };
+  });
+  const noReply = new Set(noReplyPhrases.map(normalizePhrase));
+  const mergedLevels = {};
+  PRIORITIES.forEach(key => {
+    mergedLevels[key] = { key, ...DEFAULT_LEVELS[key], ...(levels[key] || {}) };
+  });
+
+  // message: { type, text }（LINE のメッセージ。text はテキストメッセージのみ）
+  // 戻り値: { priority, rule }（rule は一致したルール名、返信不要なら 'no_reply'、通常なら null）
+  function classify(message) {
+    if (message.type === 'sticker') return { priority: 'low', rule: 'no_reply' };
+    if (message.type !== 'text') return { priority: 'normal', rule: null };
+    const lower = String(message.text).toLowerCase();
+    const rule = normalizedRules.find(r => r.keywords.some(k => lower.includes(k)) || (r.pattern && r.pattern.test(message.text)));
+    if (rule) return { priority: rule.priority, rule: rule.name };
+    if (noReply.has(normalizePhrase(message.text))) return { priority: 'low', rule: 'no_reply' };
+    return { priority: 'normal', rule: null };
+  }
+
+  // 優先度の設定（不明な値は normal）
+  function level(priority) {
+    return mergedLevels[priority] || mergedLevels.normal;
+  }
+
+  // 未返信のメッセージの中で最も高い優先度（記録のない古いメッセージは normal）
+  function highest(messages) {
+    const ranks = messages.map(m => PRIORITIES.indexOf(m.priority || 'normal')).filter(rank => rank >= 0);
+    return ranks.length > 0 ? PRIORITIES[Math.min(...ranks)] : 'normal';
+  }
+
+  // 並べ替え用（高いほど小さい）
+  function rank(priority) {
+    const index = PRIORITIES.indexOf(priority);
+    return index >= 0 ? index : PRIORITIES.indexOf('normal');
+  }
+
+  return { classify, level, highest, rank, levels: mergedLevels };
+}
+
+module.exports = {
+  createPriorityClassifier,
+  priorityRulesFromEnv,
+  noReplyPhrasesFromEnv,
+  priorityLevelsFromEnv,
+  PRIORITIES
+};
@@ -0,0 +1,166 @@
+const { getZonedParts, parseTimeOfDay } = require('./timezone');
+
+// ---------------------------------------------------
+// リマインダーポリシー
+// ---------------------------------------------------
+// 「いつリマインダーを送るか」の判断はすべてここで行う。
+// 未返信チェックのcronと /api/debug-reminder の両方が同じ evaluate() を使う。
+//
+// 経過時間は営業時間だけを数える（例: 金曜17時の問い合わせは、9〜18時・平日営業なら
+// 月曜11時に「3時間経過」となる）。営業時間を設定しない場合は24時間365日が営業時間。
+
+const MINUTE_MS = 60 * 1000;
+const HOUR_MS = 60 * MINUTE_MS;
+const DAY_MS = 24 * HOUR_MS;
+
+const DEFAULT_POLICY = {
+  firstReminderDelayMinutes: 180,  // 最初のメッセージから初回リマインダーまで
+  repeatIntervalMinutes: 180,      // 2回目以降のリマインダー間隔
+  maxReminderCount: 0,             // 最大送信回数（0 = 無制限）
+  timezone: 'Asia/Tokyo',
+  businessHours: null,             // { start: '09:00', end: '18:00' }（null = 終日）
+  businessDays: [0, 1, 2, 3, 4, 5, 6], // 0 = 日曜
+  holidays: []                     // ['2026-01-01', ...]（timezone での日付）
+};
+
+function parseList(value) {
+  return String(value).split(',').map(v => v.trim()).filter(Boolean);
+}
+
+// 0以上の数値でなければエラー（NaN だと間隔の比較がすべて false になり、リマインダーが黙って止まるため）
+function parseNonNegativeNumber(name, value) {
+  const number = Number(value);
+  if (!Number.isFinite(number) || number < 0) {
+    throw new Error(`${name} は0以上の数値で指定してください: ${value}`);
+  }
+  return number;
+}
+
+// 環境変数からポリシー設定を組み立てる
+function reminderPolicyOptionsFromEnv(env = process.env) {
+  const options = {};
+  if (env.REMINDER_FIRST_DELAY_MINUTES) {
+    options.firstReminderDelayMinutes = parseNonNegativeNumber('REMINDER_FIRST_DELAY_MINUTES', env.REMINDER_FIRST_DELAY_MINUTES);
+  }
+  if (env.REMINDER_REPEAT_INTERVAL_MINUTES) {
+    options.repeatIntervalMinutes = parseNonNegativeNumber('REMINDER_REPEAT_INTERVAL_MINUTES', env.REMINDER_REPEAT_INTERVAL_MINUTES);
+  }
+  if (env.REMINDER_MAX_COUNT) options.maxReminderCount = parseNonNegativeNumber('REMINDER_MAX_COUNT', env.REMINDER_MAX_COUNT);
+  if (env.REMINDER_TIMEZONE) options.timezone = env.REMINDER_TIMEZONE;
+  if (env.BUSINESS_HOURS) {
+    // "09:00-18:00"
+    const [start, end] = env.BUSINESS_HOURS.split('-');
+    options.businessHours = { start, end };
+  }
+  if (env.BUSINESS_DAYS) options.businessDays = parseList(env.BUSINESS_DAYS).map(Number);
+  if (env.HOLIDAYS) options.holidays = parseList(env.HOLIDAYS);
+  return options;
+}
+
+function createReminderPolicy(options = {}) {
+  const policy = { ...DEFAULT_POLICY, ...options };
+  const windowStart = policy.businessHours ? parseTimeOfDay(policy.businessHours.start) : 0;
+  const windowEnd = policy.businessHours ? parseTimeOfDay(policy.businessHours.end) : 24 * 60;
+  const holidays = new Set(policy.holidays);
+
+  // LINE_CHANNELS の reminderPolicy など、環境変数を通らない設定も確かめる
+  ['firstReminderDelayMinutes', 'repeatIntervalMinutes', 'maxReminderCount'].forEach(key => {
+    parseNonNegativeNumber(key, policy[key]);
+  });
+  // 不正なタイムゾーンは evaluate() のたびに例外になり、リマインダーが一度も送られなくなるので起動時に弾く
+  try {
+    new Intl.DateTimeFormat('en-US', { timeZone: policy.timezone });
+  } catch (error) {
+    throw new Error(`タイムゾーンが不正です: ${policy.timezone}`);
+  }
+  if (!policy.businessDays.every(day => Number.isInteger(day) && day >= 0 && day <= 6)) {
+    throw new Error(`営業日は0（日曜）〜6（土曜）で指定してください: ${policy.businessDays.join(',')}`);
+  }
+
+  if (windowEnd <= windowStart) {
+    throw new Error(`営業時間の終了は開始より後にしてください: ${policy.businessHours.start}-${policy.businessHours.end}`);
+  }
+
+  function localParts(ts) {
+    return getZonedParts(ts, policy.timezone);
+  }
+
+  function isWorkingDay(parts) {
+    return policy.businessDays.includes(parts.weekday) && !holidays.has(parts.date);
+  }
+
+  // 指定時刻が営業時間内か
+  function isWorkingTime(ts) {
+    const parts = localParts(ts);
+    return isWorkingDay(parts) && parts.msOfDay >= windowStart * MINUTE_MS && parts.msOfDay < windowEnd * MINUTE_MS;
+  }
+
+  // from〜to の間の営業時間（ミリ秒）
+  // 1日ずつ進めて営業時間帯との重なりを足していく。夏時間の切り替え日は1時間ずれることがある
+  function workingMsBetween(from, to) {
+    let total = 0;
+    let t = from;
+    while (t < to) {
+      const parts = localParts(t);
+      if (isWorkingDay(parts)) {
+        const start = Math.max(t, parts.dayStart + windowStart * MINUTE_MS);
+        const end = Math.min(to, parts.dayStart + windowEnd * MINUTE_MS);
+        if (end > start) total += end - start;
+      }
+      // 翌日の0時へ（26時間後が属する日の0時。24時間ちょうどだと夏時間で同じ日に戻ることがある）
+      t = localParts(parts.dayStart + DAY_MS + 2 * HOUR_MS).dayStart;
+    }
+    return total;
+  }
+
+  // 会話1件についてリマインダーを送るべきか判定する
+  // conversation: { needsReply, pendingMessages, userMessage, lastReminderTime, reminderCount, snoozedUntil }
+  // overrides: 会話ごとの上書き（メッセージの優先度など）
+  //   { firstReminderDelayMinutes, repeatIntervalMinutes } は null ならポリシーの設定のまま、
+  //   skipReason があればリマインダーを送らない（理由として表示する）
+  function evaluate(conversation, now, overrides = {}) {
+    const c = conversation;
+    const firstDelayMinutes = overrides.firstReminderDelayMinutes != null
+      ? overrides.firstReminderDelayMinutes : policy.firstReminderDelayMinutes;
+    const repeatIntervalMinutes = overrides.repeatIntervalMinutes != null
+      ? overrides.repeatIntervalMinutes : policy.repeatIntervalMinutes;
+    const oldest = c.pendingMessages && c.pendingMessages.length > 0 ? c.pendingMessages[0] : c.userMessage;
+    const reminderCount = c.reminderCount || 0;
+    const result = {
+      shouldRemind: false,
+      reason: '',
+      oldestMessage: oldest || null,
+      workingElapsedMs: oldest ? workingMsBetween(oldest.timestamp, now) : 0,
+      workingSinceLastReminderMs: c.lastReminderTime ? workingMsBetween(c.lastReminderTime, now) : null,
+      nextReminderCount: reminderCount + 1
+    };
+
+    if (!c.needsReply || !oldest) {
+      result.reason = '未返信のメッセージがありません';
+    } else if (c.snoozedUntil && c.snoozedUntil > now) {
+      result.reason = `${new Date(c.snoozedUntil).toISOString()} までスヌーズ中です`;
+    } else if (policy.maxReminderCount > 0 && reminderCount >= policy.maxReminderCount) {
+      result.reason = `リマインダーの上限（${policy.maxReminderCount}回）に達しています`;
+    } else if (overrides.skipReason) {
+      result.reason = overrides.skipReason;
+    } else if (!isWorkingTime(now)) {
+      result.reason = '営業時間外です';
+    } else if (!c.lastReminderTime && result.workingElapsedMs < firstDelayMinutes * MINUTE_MS) {
+      result.reason = `最初のメッセージから営業時間で${firstDelayMinutes}分経過していません`;
+    } else if (c.lastReminderTime && result.workingSinceLastReminderMs < repeatIntervalMinutes * MINUTE_MS) {
+      result.reason = `前回のリマインドから営業時間で${repeatIntervalMinutes}分経過していません`;
+    } else {
+      result.shouldRemind = true;
+    }
+    return result;
+  }
+
+  return {
+    options: policy,
+    isWorkingTime,
+    workingMsBetween,
+    evaluate
+  };
+}
+
+module.exports = { createReminderPolicy, reminderPolicyOptionsFromEnv, parseNonNegativeNumber, DEFAULT_POLICY };
@@ -0,0 +1,171 @@
+const fs = require('fs');
+const { summarizeLineMessage } = require('./media');
+
+// ---------------------------------------------------
+// シミュレーション（LINE の Webhook イベントを仮想時刻で再生する）
+// ---------------------------------------------------
+// ポリシー（リマインダー間隔・営業時間・優先度・エスカレーションなど）を変えたときに、
+// 本番に出す前に「いつ何が Slack に届くか」を確かめるためのもの。
+// Date.now() を仮想時刻に差し替え、LINE API と Slack への送信は行わずにタイムラインに記録する。
+//
+// イベントファイル（JSONL、1行に1つ）は次のどちらかの形式:
+//   LINE のイベント             {"type":"message","timestamp":1760922000000,"source":{...},"message":{...},"replyToken":"..."}
+//   Webhook のリクエストボディ   {"destination":"...","events":[...]}
+// timestamp はミリ秒か ISO 8601 の文字列。シミュレーション用に次の項目も書ける（LINE からは届かない）:
+//   channelKey: 受けるLINEチャネル（LINE_CHANNELS の key。省略時は先頭のチャネル）
+//   displayName: 送信者の表示名（プロフィールの取得の代わり。省略時は userId）
+//   groupName: グループ/トークルームの名前（グループ情報の取得の代わり。省略時は groupId / roomId）
+// 空行と # で始まる行は読み飛ばす。
+
+function parseTimestamp(value, lineNumber) {
+  const timestamp = typeof value === 'string' ? Date.parse(value) : value;
+  if (typeof timestamp !== 'number' || Number.isNaN(timestamp)) {
+    throw new Error(`${lineNumber}行目: timestamp がないか不正です`);
+  }
+  return timestamp;
+}
+
+// 戻り値: [{ event, channelKey, displayName, groupName }]（時刻順）
+function loadSimulationEvents(filePath) {
+  const entries = [];
+  fs.readFileSync(filePath, 'utf8').split('\n').forEach((line, i) => {
+    const text = line.trim();
+    if (!text || text.startsWith('#')) return;
+    let parsed;
+    try {
+      parsed = JSON.parse(text);
+    } catch (error) {
+      throw new Error(`${i + 1}行目: JSON が不正です（${error.message}）`);
+    }
+    const events = Array.isArray(parsed.events) ? parsed.events : [parsed];
+    events.forEach(({ channelKey, displayName, groupName, ...event }) => {
+      event.timestamp = parseTimestamp(event.timestamp, i + 1);
+      if (!event.webhookEventId) event.webhookEventId = `simulation-${i + 1}-${entries.length + 1}`;
+      entries.push({
+        event,
+        channelKey: channelKey || parsed.channelKey || null,
+        displayName: displayName || null,
+        groupName: groupName || null
+      });
+    });
+  });
+  // 同時刻ならファイルの順
+  return entries
+    .map((entry, index) => ({ entry, index }))
+    .sort((a, b) => a.entry.event.timestamp - b.entry.event.timestamp || a.index - b.index)
+    .map(({ entry }) => entry);
+}
+
+// Date.now() を差し替える。時刻は進めるだけで戻さない
+function createVirtualClock(start) {
+  const realNow = Date.now;
+  let now = start;
+  Date.now = () => now;
+  return {
+    now: () => now,
+    advanceTo(timestamp) {
+      if (timestamp > now) now = timestamp;
+    },
+    restore() {
+      Date.now = realNow;
+    }
+  };
+}
+
+// kind: 'line_event'（受信） | 'line_reply'（LINE への返信・送信） | 'slack'（Slack への投稿）
+function createTimeline(clock) {
+  const entries = [];
+  return {
+    entries,
+    add(kind, fields) {
+      entries.push({ at: clock.now(), kind, ...fields });
+    }
+  };
+}
+
+// Slack の投稿の1行目（見出し）と本文を、タイムライン向けにメンションと装飾を外して取り出す
+function summarizeSlackPayload(payload) {
+  return String(payload.text || '')
+    .replace(/<@[A-Z0-9]+>\s*|<!(here|channel|subteam\^[A-Z0-9]+)>\s*/g, '')
+    .replace(/\*/g, '')
+    .split('\n\n返信済みにするには')[0];
+}
+
+// 受信したイベントのタイムライン向けの説明
+function describeLineEvent(event, nameOf) {
+  const source = event.source || {};
+  const sender = source.userId ? nameOf(source.userId) : '不明なユーザー';
+  const group = source.groupId || source.roomId ? `【${nameOf(source.groupId || source.roomId)}】` : '';
+  switch (event.type) {
+    case 'message':
+      return `${group}${sender}：「${summarizeLineMessage(event.message)}」`;
+    case 'follow':
+      return `${sender} が友だち追加`;
+    case 'unfollow':
+      return `${sender} がブロック`;
+    case 'postback':
+      return `${sender} のポストバック（${event.postback ? event.postback.data : ''}）`;
+    default:
+      return `${group}${sender} の ${event.type} イベント`;
+  }
+}
+
+function describeLineMessage(message) {
+  return message.type === 'text' ? message.text : `[${message.type}]`;
+}
+
+// LINE API の代わり（送ったメッセージはタイムラインに記録し、プロフィールは displayNames から返す）
+// displayNames: { userId / groupId / roomId: 表示名 }（イベントの displayName と groupName から集める）
+function createSimulatedLineClient({ channelKey, timeline, displayNames }) {
+  const nameOf = id => displayNames.get(id) || id;
+  return {
+    async replyMessage(replyToken, message) {
+      [].concat(message).forEach(m => timeline.add('line_reply', { channelKey, to: null, text: describeLineMessage(m) }));
+    },
+    async pushMessage(to, message) {
+      [].concat(message).forEach(m => timeline.add('line_reply', { channelKey, to: nameOf(to), text: describeLineMessage(m) }));
+    },
+    async getProfile(userId) {
+      return { userId, displayName: nameOf(userId) };
+    },
+    async getGroupMemberProfile(groupId, userId) {
+      return { userId, displayName: nameOf(userId) };
+    },
+    async getRoomMemberProfile(roomId, userId) {
+      return { userId, displayName: nameOf(userId) };
+    },
+    async getGroupSummary(groupId) {
+      return { groupId, groupName: nameOf(groupId) };
+    },
+    async getMessageContent() {
+      throw new Error('シミュレーションではメッセージの中身を取得できません');
+    }
+  };
+}
+
+// タイムラインを文字列にする
+// formatTime: 時刻の表示（app.js の formatLocalTime）
+function formatTimeline(timeline, { formatTime }) {
+  const lines = timeline.entries.map(e => {
+    const time = formatTime(e.at);
+    if (e.kind === 'line_event') return `${time}  ← LINE   ${e.description}`;
+    if (e.kind === 'line_reply') return `${time}  → LINE   ${e.to ? `${e.to}へ` : '返信'}：「${e.text}」`;
+    const [headline, ...rest] = e.text.split('\n');
+    const destination = e.destination ? `（${e.destination}）` : '';
+    return [`${time}  → Slack${destination}  ${headline}`, ...rest.map(line => `                          ${line}`)].join('\n');
+  });
+  const count = kind => timeline.entries.filter(e => e.kind === kind).length;
+  const reminders = timeline.entries.filter(e => e.kind === 'slack' && e.event === 'reminder').length;
+  lines.push('', `受信 ${count('line_event')}件 ／ Slack通知 ${count('slack')}件（うちリマインダー ${reminders}件） ／ LINEへの送信 ${count('line_reply')}件`);
+  return lines.join('\n');
+}
+
+module.exports = {
+  loadSimulationEvents,
+  createVirtualClock,
+  createTimeline,
+  createSimulatedLineClient,
+  summarizeSlackPayload,
+  describeLineEvent,
+  formatTimeline
+};
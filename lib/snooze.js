@@ -0,0 +1,53 @@
+const { getZonedParts, parseTimeOfDay, zonedTimeToTimestamp, addDays } = require('./timezone');
+
+// ---------------------------------------------------
+// スヌーズのプリセット
+// ---------------------------------------------------
+// 確認ページと Slack の両方で同じプリセットを使う。
+// 「明日の朝」などの時刻は timezone（リマインダーポリシーと同じ）で解釈する。
+
+const HOUR_MS = 60 * 60 * 1000;
+
+function createSnoozePresets({ timezone, morningTime = '10:00' }) {
+  const morningMinutes = parseTimeOfDay(morningTime);
+
+  const presets = [
+    { key: '1h', label: '1時間後', until: now => now + HOUR_MS },
+    { key: '3h', label: '3時間後', until: now => now + 3 * HOUR_MS },
+    {
+      key: 'tomorrow',
+      label: `明日 ${morningTime}`,
+      until: now => zonedTimeToTimestamp(addDays(getZonedParts(now, timezone).date, 1), morningMinutes, timezone)
+    },
+    {
+      key: 'next_monday',
+      label: `来週月曜 ${morningTime}`,
+      until: now => {
+        const parts = getZonedParts(now, timezone);
+        const daysUntilMonday = ((8 - parts.weekday) % 7) || 7;
+        return zonedTimeToTimestamp(addDays(parts.date, daysUntilMonday), morningMinutes, timezone);
+      }
+    }
+  ];
+
+  // プリセットのキーからスヌーズ期限を求める（不明なキーなら null）
+  function resolve(key, now) {
+    const preset = presets.find(p => p.key === key);
+    return preset ? preset.until(now) : null;
+  }
+
+  // <input type="datetime-local"> の値（"2026-10-20T10:00"）を timezone の時刻として解釈する
+  function parseCustom(value) {
+    const match = /^(\d{4}-\d{2}-\d{2})T(\d{2}:\d{2})/.exec(String(value || ''));
+    if (!match) return null;
+    return zonedTimeToTimestamp(match[1], parseTimeOfDay(match[2]), timezone);
+  }
+
+  return {
+    presets: presets.map(({ key, label }) => ({ key, label })),
+    resolve,
+    parseCustom
+  };
+}
+
+module.exports = { createSnoozePresets };
@@ -0,0 +1,271 @@
+const fs = require('fs');
+const path = require('path');
+const readline = require('readline');
+
+// ---------------------------------------------------
+// 永続化ストア
+// ---------------------------------------------------
+// どのバックエンドも同じインターフェースを持つ:
+//   load(collection)              -> { key: value } 形式で全件を返す
+//   put(collection, key, value)   -> 1件を保存（上書き）
+//   remove(collection, key)       -> 1件を削除
+//   flush()                       -> まだ書き出していない変更をすぐに書き出す（終了時に呼ぶ）
+// 追記だけのログ（監査ログなど、件数が多く書き換えないもの）はコレクションとは別に持つ:
+//   appendLog(name, entry)        -> 1件を追記（entry.timestamp はミリ秒）
+//   readLog(name, { from, to })   -> from <= timestamp < to のものを順に返す非同期イテレーター（全件をメモリに読み込まない）
+//   pruneLog(name, before)        -> timestamp が before より前のものを削除（JSONL は日単位。読むときは範囲で絞ること）
+// 値は JSON にシリアライズして保存するため、呼び出し側のオブジェクトとは共有されない
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+function clone(value) {
+  return JSON.parse(JSON.stringify(value));
+}
+
+function inRange(entry, { from = -Infinity, to = Infinity } = {}) {
+  return entry.timestamp >= from && entry.timestamp < to;
+}
+
+// (A) メモリストア（再起動で消える。従来の挙動）
+function createMemoryStore() {
+  const data = {};
+  const logs = {};
+  return {
+    type: 'memory',
+    load(collection) {
+      return clone(data[collection] || {});
+    },
+    put(collection, key, value) {
+      if (!data[collection]) data[collection] = {};
+      data[collection][key] = clone(value);
+    },
+    remove(collection, key) {
+      if (data[collection]) delete data[collection][key];
+    },
+    flush() {},
+    appendLog(name, entry) {
+      if (!logs[name]) logs[name] = [];
+      logs[name].push(clone(entry));
+    },
+    async *readLog(name, range) {
+      for (const entry of (logs[name] || []).filter(e => inRange(e, range))) {
+        yield clone(entry);
+      }
+    },
+    pruneLog(name, before) {
+      if (logs[name]) logs[name] = logs[name].filter(entry => entry.timestamp >= before);
+    }
+  };
+}
+
+// (B) JSONファイルストア
+// ファイル全体を書き出すので、変更は flushDelayMs の間まとめてから1回で書く（イベントループを毎回止めない）。
+// 一時ファイルに書いてから rename するので、書き込み途中でプロセスが落ちても壊れたファイルは残らない。
+// まとめている間に落ちるとその分は失われるため、終了時には flush() を呼ぶこと。
+// ログは store.json の隣に日（UTC）ごとの JSONL ファイル（store.<name>.<YYYY-MM-DD>.jsonl）で追記する（同じくまとめて書く）。
+// 読むときは期間にかかる日のファイルだけを1行ずつ読み、古いものは日のファイルごと消す（書き直さない）
+function createJsonFileStore(filePath, { flushDelayMs = 1000 } = {}) {
+  let data = {};
+  if (fs.existsSync(filePath)) {
+    data = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+  } else {
+    fs.mkdirSync(path.dirname(filePath), { recursive: true });
+  }
+
+  let flushTimer = null;
+  let dataChanged = false;
+  const pendingLogLines = {}; // { ファイルのパス: [JSONL の行] }（まだ追記していないもの）
+  const logPrefix = name => `${path.basename(filePath, path.extname(filePath))}.${name}.`;
+
+  function logPath(name, day) {
+    return path.join(path.dirname(filePath), `${logPrefix(name)}${day}.jsonl`);
+  }
+
+  // ログのファイルの日付（古い順）
+  function logDays(name) {
+    const pattern = /^(\d{4}-\d{2}-\d{2})\.jsonl$/;
+    return fs.readdirSync(path.dirname(filePath))
+      .filter(file => file.startsWith(logPrefix(name)))
+      .map(file => pattern.exec(file.slice(logPrefix(name).length)))
+      .filter(Boolean)
+      .map(match => match[1])
+      .sort();
+  }
+
+  function flush() {
+    if (flushTimer) {
+      clearTimeout(flushTimer);
+      flushTimer = null;
+    }
+    if (dataChanged) {
+      const tmpPath = `${filePath}.tmp`;
+      fs.writeFileSync(tmpPath, JSON.stringify(data));
+      fs.renameSync(tmpPath, filePath);
+      dataChanged = false;
+    }
+    for (const logFile of Object.keys(pendingLogLines)) {
+      fs.appendFileSync(logFile, pendingLogLines[logFile].join(''));
+      delete pendingLogLines[logFile];
+    }
+  }
+
+  function scheduleFlush() {
+    if (flushTimer) return;
+    flushTimer = setTimeout(() => {
+      flushTimer = null;
+      try {
+        flush();
+      } catch (error) {
+        console.error(`ストアの書き出しに失敗しました: ${filePath}: ${error.message}`);
+        scheduleFlush();
+      }
+    }, flushDelayMs);
+    // 書き出し待ちのタイマーでプロセスの終了を引き止めない（終了時は呼び出し側が flush() を呼ぶ）
+    if (flushTimer.unref) flushTimer.unref();
+  }
+
+  return {
+    type: 'json',
+    load(collection) {
+      return clone(data[collection] || {});
+    },
+    put(collection, key, value) {
+      if (!data[collection]) data[collection] = {};
+      data[collection][key] = clone(value);
+      dataChanged = true;
+      scheduleFlush();
+    },
+    remove(collection, key) {
+      if (!data[collection] || !(key in data[collection])) return;
+      delete data[collection][key];
+      dataChanged = true;
+      scheduleFlush();
+    },
+    flush() {
+      if (flushTimer) flush();
+    },
+    appendLog(name, entry) {
+      const logFile = logPath(name, new Date(entry.timestamp).toISOString().slice(0, 10));
+      if (!pendingLogLines[logFile]) pendingLogLines[logFile] = [];
+      pendingLogLines[logFile].push(`${JSON.stringify(entry)}\n`);
+      scheduleFlush();
+    },
+    async *readLog(name, range = {}) {
+      if (flushTimer) flush();
+      const { from = -Infinity, to = Infinity } = range;
+      for (const day of logDays(name)) {
+        const dayStart = Date.parse(day);
+        if (dayStart + DAY_MS <= from || dayStart >= to) continue;
+        const lines = readline.createInterface({ input: fs.createReadStream(logPath(name, day)), crlfDelay: Infinity });
+        for await (const line of lines) {
+          if (!line.trim()) continue;
+          const entry = JSON.parse(line);
+          if (inRange(entry, range)) yield entry;
+        }
+      }
+    },
+    // before より前の日のファイルを消す（before の日のファイルは残る）
+    pruneLog(name, before) {
+      if (flushTimer) flush();
+      for (const day of logDays(name)) {
+        if (Date.parse(day) + DAY_MS <= before) fs.unlinkSync(logPath(name, day));
+      }
+    }
+  };
+}
+
+// (C) SQLiteストア（better-sqlite3 が必要）
+function createSqliteStore(filePath) {
+  let Database;
+  try {
+    Database = require('better-sqlite3');
+  } catch (error) {
+    throw new Error(`SQLiteストアには better-sqlite3 が必要です: ${error.message}`);
+  }
+
+  fs.mkdirSync(path.dirname(filePath), { recursive: true });
+  const db = new Database(filePath);
+  db.pragma('journal_mode = WAL');
+  db.exec(`
+    CREATE TABLE IF NOT EXISTS records (
+      collection TEXT NOT NULL,
+      key TEXT NOT NULL,
+      value TEXT NOT NULL,
+      PRIMARY KEY (collection, key)
+    );
+    CREATE TABLE IF NOT EXISTS logs (
+      name TEXT NOT NULL,
+      timestamp INTEGER NOT NULL,
+      value TEXT NOT NULL
+    );
+    CREATE INDEX IF NOT EXISTS logs_name_timestamp ON logs (name, timestamp);
+  `);
+
+  const selectStmt = db.prepare('SELECT key, value FROM records WHERE collection = ?');
+  const upsertStmt = db.prepare(`
+    INSERT INTO records (collection, key, value) VALUES (?, ?, ?)
+    ON CONFLICT (collection, key) DO UPDATE SET value = excluded.value
+  `);
+  const deleteStmt = db.prepare('DELETE FROM records WHERE collection = ? AND key = ?');
+  const appendLogStmt = db.prepare('INSERT INTO logs (name, timestamp, value) VALUES (?, ?, ?)');
+  // 期間の検索は (name, timestamp) のインデックスを使い、(timestamp, rowid) の続きから LOG_PAGE_SIZE 件ずつ読む
+  const LOG_PAGE_SIZE = 500;
+  const selectLogStmt = db.prepare(`
+    SELECT rowid, timestamp, value FROM logs
+    WHERE name = ? AND timestamp < ? AND (timestamp > ? OR (timestamp = ? AND rowid > ?))
+    ORDER BY timestamp, rowid LIMIT ?
+  `);
+  const pruneLogStmt = db.prepare('DELETE FROM logs WHERE name = ? AND timestamp < ?');
+
+  return {
+    type: 'sqlite',
+    load(collection) {
+      const result = {};
+      for (const row of selectStmt.all(collection)) {
+        result[row.key] = JSON.parse(row.value);
+      }
+      return result;
+    },
+    put(collection, key, value) {
+      upsertStmt.run(collection, key, JSON.stringify(value));
+    },
+    remove(collection, key) {
+      deleteStmt.run(collection, key);
+    },
+    flush() {},
+    appendLog(name, entry) {
+      appendLogStmt.run(name, entry.timestamp, JSON.stringify(entry));
+    },
+    async *readLog(name, { from = -Infinity, to = Infinity } = {}) {
+      // 読んでいる間に他の処理がデータベースを使えるよう、iterate() ではなくページごとに all() で読む
+      let after = { timestamp: Math.max(from, Number.MIN_SAFE_INTEGER), rowid: -1 };
+      const end = Math.min(to, Number.MAX_SAFE_INTEGER);
+      for (;;) {
+        const rows = selectLogStmt.all(name, end, after.timestamp, after.timestamp, after.rowid, LOG_PAGE_SIZE);
+        for (const row of rows) yield JSON.parse(row.value);
+        if (rows.length < LOG_PAGE_SIZE) return;
+        after = rows[rows.length - 1];
+      }
+    },
+    pruneLog(name, before) {
+      pruneLogStmt.run(name, before);
+    }
+  };
+}
+
+// STORE_TYPE: memory | json | sqlite
+// flushDelayMs: JSONファイルストアで変更をまとめて書き出すまでの時間
+function createStore({ type = 'json', filePath, flushDelayMs } = {}) {
+  switch (type) {
+    case 'memory':
+      return createMemoryStore();
+    case 'json':
+      return createJsonFileStore(filePath || path.join(process.cwd(), 'data', 'store.json'), { flushDelayMs });
+    case 'sqlite':
+      return createSqliteStore(filePath || path.join(process.cwd(), 'data', 'store.sqlite3'));
+    default:
+      throw new Error(`不明なストア種別です: ${type}`);
+  }
+}
+
+module.exports = { createStore };
@@ -0,0 +1,65 @@
+// ---------------------------------------------------
+// タイムゾーン付きの日時計算
+// ---------------------------------------------------
+// サーバー（Heroku は UTC）のタイムゾーンに関係なく、設定したタイムゾーンでの
+// 日付・時刻を扱うためのヘルパー。外部ライブラリは使わず Intl だけで計算する。
+
+const WEEKDAYS = { Sun: 0, Mon: 1, Tue: 2, Wed: 3, Thu: 4, Fri: 5, Sat: 6 };
+const formatters = {};
+
+function getFormatter(timezone) {
+  if (!formatters[timezone]) {
+    formatters[timezone] = new Intl.DateTimeFormat('en-US', {
+      timeZone: timezone,
+      hourCycle: 'h23',
+      year: 'numeric', month: '2-digit', day: '2-digit',
+      hour: '2-digit', minute: '2-digit', second: '2-digit',
+      weekday: 'short'
+    });
+  }
+  return formatters[timezone];
+}
+
+// timezone での日付・曜日と、その日の0時からの経過ミリ秒
+function getZonedParts(ts, timezone) {
+  const parts = {};
+  for (const { type, value } of getFormatter(timezone).formatToParts(new Date(ts))) parts[type] = value;
+  const msOfDay = ((Number(parts.hour) * 60 + Number(parts.minute)) * 60 + Number(parts.second)) * 1000 + (ts % 1000);
+  return {
+    date: `${parts.year}-${parts.month}-${parts.day}`,
+    weekday: WEEKDAYS[parts.weekday],
+    msOfDay,
+    dayStart: ts - msOfDay
+  };
+}
+
+// "09:30" -> 570
+function parseTimeOfDay(value) {
+  const match = /^(\d{1,2}):(\d{2})$/.exec(String(value).trim());
+  if (!match) throw new Error(`時刻の形式が不正です: ${value}`);
+  return parseInt(match[1], 10) * 60 + parseInt(match[2], 10);
+}
+
+// timezone での 'YYYY-MM-DD' の minutesOfDay 分 -> タイムスタンプ
+function zonedTimeToTimestamp(date, minutesOfDay, timezone) {
+  const match = /^(\d{4})-(\d{2})-(\d{2})$/.exec(date);
+  if (!match) throw new Error(`日付の形式が不正です: ${date}`);
+  const asUtc = Date.UTC(Number(match[1]), Number(match[2]) - 1, Number(match[3])) + minutesOfDay * 60 * 1000;
+  // UTC として解釈した時刻とのずれ（＝オフセット）を引く。切り替え前後のために2回合わせる
+  let ts = asUtc;
+  for (let i = 0; i < 2; i++) {
+    const parts = getZonedParts(ts, timezone);
+    const localAsUtc = Date.parse(`${parts.date}T00:00:00Z`) + parts.msOfDay;
+    ts += asUtc - localAsUtc;
+  }
+  return ts;
+}
+
+// 'YYYY-MM-DD' に日数を足す
+function addDays(date, days) {
+  const d = new Date(`${date}T00:00:00Z`);
+  d.setUTCDate(d.getUTCDate() + days);
+  return d.toISOString().substring(0, 10);
+}
+
+module.exports = { getZonedParts, parseTimeOfDay, zonedTimeToTimestamp, addDays };
@@ -0,0 +1,43 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { createStore } = require('../lib/store');
+const { createAuditLog } = require('../lib/audit');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+test('メモリにない古い期間はストアから読み、新しい順に limit 件を返す', async () => {
+  const store = createStore({ type: 'memory' });
+  const now = Date.now();
+  store.appendLog('auditLog', { id: 'old-1', action: 'received', timestamp: now - 3 * DAY_MS, conversationKey: 'U1', source: 'line' });
+  store.appendLog('auditLog', { id: 'old-2', action: 'received', timestamp: now - 2 * DAY_MS, conversationKey: 'U1', source: 'line' });
+  store.appendLog('auditLog', { id: 'old-3', action: 'received', timestamp: now - DAY_MS, conversationKey: 'U2', source: 'line' });
+  const auditLog = createAuditLog({ store, retentionMs: 90 * DAY_MS });
+  const recent = auditLog.record('marked_replied', { conversationKey: 'U1', source: 'web' });
+
+  const result = await auditLog.query({ conversationKey: 'U1', limit: 2 });
+  assert.strictEqual(result.total, 3);
+  assert.deepStrictEqual(result.entries.map(e => e.id), [recent.id, 'old-2']);
+});
+
+test('メモリに持つのは直近 memoryLimit 件で、あふれた分もストアから検索できる', async () => {
+  const store = createStore({ type: 'memory' });
+  const auditLog = createAuditLog({ store, retentionMs: 90 * DAY_MS, memoryLimit: 2 });
+  const now = Date.now();
+  const ids = [1, 2, 3].map(i => auditLog.record('received', { timestamp: now + i }).id);
+
+  assert.deepStrictEqual((await auditLog.query({ from: now + 2 })).entries.map(e => e.id), [ids[2], ids[1]]);
+  assert.deepStrictEqual((await auditLog.query({ from: now })).entries.map(e => e.id), [ids[2], ids[1], ids[0]]);
+});
+
+test('保存期間を過ぎたものは検索に出さず、cleanup() でストアから消す', async () => {
+  const store = createStore({ type: 'memory' });
+  const now = Date.now();
+  store.appendLog('auditLog', { id: 'expired', action: 'received', timestamp: now - 10 * DAY_MS, source: 'line' });
+  const auditLog = createAuditLog({ store, retentionMs: 7 * DAY_MS });
+  assert.strictEqual((await auditLog.query({})).total, 0);
+
+  auditLog.cleanup(now);
+  const remaining = [];
+  for await (const entry of store.readLog('auditLog')) remaining.push(entry);
+  assert.deepStrictEqual(remaining, []);
+});
@@ -0,0 +1,65 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { createStore } = require('../lib/store');
+const { createOutbox } = require('../lib/outbox');
+
+test('enqueue が1つ目のチャネルに送っている間、deliverDue は後のチャネルを送らない', async () => {
+  const sent = [];
+  let releaseFirst;
+  const firstSending = new Promise(resolve => { releaseFirst = resolve; });
+  const outbox = createOutbox({
+    store: createStore({ type: 'memory' }),
+    send: async entry => {
+      sent.push(entry.channel);
+      if (entry.channel === 'slack') await firstSending;
+    }
+  });
+
+  const enqueued = outbox.enqueue({ event: 'new_message', text: 'a' }, ['slack', 'teams']);
+  assert.strictEqual(await outbox.deliverDue(), 0);
+  releaseFirst();
+
+  assert.deepStrictEqual(await enqueued, [{ channel: 'slack', ok: true }, { channel: 'teams', ok: true }]);
+  assert.deepStrictEqual(sent, ['slack', 'teams']);
+  assert.strictEqual(outbox.pending().length, 0);
+});
+
+test('送信に失敗したチャネルはエラーを返して再送を待ち、deliverDue で送り直す', async () => {
+  let fail = true;
+  const delivered = [];
+  const outbox = createOutbox({
+    store: createStore({ type: 'memory' }),
+    send: async entry => {
+      if (fail && entry.channel === 'teams') throw new Error('timeout');
+    },
+    onDelivered: entry => delivered.push(entry.channel)
+  });
+
+  const results = await outbox.enqueue({ event: 'reminder', text: 'a' }, ['slack', 'teams'], { type: 'reminder' });
+  assert.deepStrictEqual(results, [{ channel: 'slack', ok: true }, { channel: 'teams', ok: false, error: 'timeout' }]);
+  assert.strictEqual(outbox.hasPending(meta => meta.type === 'reminder'), true);
+
+  fail = false;
+  assert.strictEqual(await outbox.deliverDue(Date.now() + 60 * 1000), 1);
+  assert.deepStrictEqual(delivered, ['slack', 'teams']);
+  assert.strictEqual(outbox.hasPending(meta => meta.type === 'reminder'), false);
+});
+
+test('再送しても無駄なエラーはデッドレターに移し、replay() で送り直せる', async () => {
+  let fail = true;
+  const outbox = createOutbox({
+    store: createStore({ type: 'memory' }),
+    send: async () => {
+      if (fail) throw Object.assign(new Error('not found'), { response: { status: 404 } });
+    }
+  });
+
+  const [result] = await outbox.enqueue({ event: 'notice', text: 'a' }, ['webhook-1']);
+  assert.deepStrictEqual(result, { channel: 'webhook-1', ok: false, error: 'not found' });
+  const [dead] = outbox.deadLetters();
+  assert.strictEqual(dead.channel, 'webhook-1');
+
+  fail = false;
+  assert.deepStrictEqual(await outbox.replay(dead.id), { channel: 'webhook-1', ok: true });
+  assert.strictEqual(outbox.deadLetters().length, 0);
+});
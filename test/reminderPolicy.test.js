@@ -0,0 +1,61 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { createReminderPolicy, reminderPolicyOptionsFromEnv } = require('../lib/reminderPolicy');
+const { getZonedParts, zonedTimeToTimestamp } = require('../lib/timezone');
+
+const MINUTE_MS = 60 * 1000;
+const HOUR_MS = 60 * MINUTE_MS;
+
+// 平日 9〜18時（Asia/Tokyo）
+const officePolicy = () => createReminderPolicy({
+  timezone: 'Asia/Tokyo',
+  businessHours: { start: '09:00', end: '18:00' },
+  businessDays: [1, 2, 3, 4, 5],
+  holidays: ['2026-10-21']
+});
+
+const tokyo = iso => Date.parse(`${iso}+09:00`);
+
+test('getZonedParts はサーバーのタイムゾーンに関係なく指定のタイムゾーンの日付と時刻を返す', () => {
+  const parts = getZonedParts(Date.parse('2026-10-19T23:30:00Z'), 'Asia/Tokyo');
+  assert.strictEqual(parts.date, '2026-10-20');
+  assert.strictEqual(parts.weekday, 2); // 火曜
+  assert.strictEqual(parts.msOfDay, 8 * HOUR_MS + 30 * MINUTE_MS);
+});
+
+test('zonedTimeToTimestamp は夏時間のあるタイムゾーンでもその地域の時刻を返す', () => {
+  // 2026-03-08 は米国の夏時間開始日（2時 -> 3時）
+  assert.strictEqual(zonedTimeToTimestamp('2026-03-08', 10 * 60, 'America/New_York'), Date.parse('2026-03-08T14:00:00Z'));
+  assert.strictEqual(zonedTimeToTimestamp('2026-03-07', 10 * 60, 'America/New_York'), Date.parse('2026-03-07T15:00:00Z'));
+});
+
+test('営業時間だけを経過時間として数える', () => {
+  const policy = officePolicy();
+  // 金曜17時〜月曜11時 = 金曜1時間 + 月曜2時間
+  assert.strictEqual(policy.workingMsBetween(tokyo('2026-10-16T17:00:00'), tokyo('2026-10-19T11:00:00')), 3 * HOUR_MS);
+  // 休日（水曜）は数えない
+  assert.strictEqual(policy.workingMsBetween(tokyo('2026-10-20T17:00:00'), tokyo('2026-10-22T10:00:00')), 2 * HOUR_MS);
+});
+
+test('営業時間外・休日は isWorkingTime が false', () => {
+  const policy = officePolicy();
+  assert.strictEqual(policy.isWorkingTime(tokyo('2026-10-19T09:00:00')), true);
+  assert.strictEqual(policy.isWorkingTime(tokyo('2026-10-19T18:00:00')), false);
+  assert.strictEqual(policy.isWorkingTime(tokyo('2026-10-18T12:00:00')), false); // 日曜
+  assert.strictEqual(policy.isWorkingTime(tokyo('2026-10-21T12:00:00')), false); // 休日
+});
+
+test('初回のリマインダーは営業時間で firstReminderDelayMinutes 経ってから', () => {
+  const policy = createReminderPolicy({ ...officePolicy().options, firstReminderDelayMinutes: 180 });
+  const c = { needsReply: true, pendingMessages: [{ text: 'a', timestamp: tokyo('2026-10-16T17:00:00') }], reminderCount: 0 };
+  assert.strictEqual(policy.evaluate(c, tokyo('2026-10-19T10:59:00')).shouldRemind, false);
+  assert.strictEqual(policy.evaluate(c, tokyo('2026-10-19T11:00:00')).shouldRemind, true);
+  assert.strictEqual(policy.evaluate(c, tokyo('2026-10-19T11:00:00'), { firstReminderDelayMinutes: 240 }).shouldRemind, false);
+});
+
+test('不正な設定は作るときにエラーになる', () => {
+  assert.throws(() => createReminderPolicy({ timezone: 'Asia/Tokio' }), /タイムゾーンが不正です/);
+  assert.throws(() => createReminderPolicy({ repeatIntervalMinutes: NaN }), /0以上の数値/);
+  assert.throws(() => reminderPolicyOptionsFromEnv({ REMINDER_FIRST_DELAY_MINUTES: '3O' }), /REMINDER_FIRST_DELAY_MINUTES/);
+  assert.throws(() => createReminderPolicy({ businessHours: { start: '18:00', end: '09:00' } }), /営業時間/);
+});
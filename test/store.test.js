@@ -0,0 +1,63 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { createStore } = require('../lib/store');
+
+async function readAll(store, range) {
+  const entries = [];
+  for await (const entry of store.readLog('auditLog', range)) entries.push(entry);
+  return entries;
+}
+
+function tempFile(name) {
+  return path.join(fs.mkdtempSync(path.join(os.tmpdir(), 'store-test-')), name);
+}
+
+test('JSONファイルストアは変更をまとめて書き出し、flush() ですぐに書く', () => {
+  const filePath = tempFile('store.json');
+  const store = createStore({ type: 'json', filePath, flushDelayMs: 60 * 1000 });
+  store.put('conversations', 'U1', { text: 'a' });
+  store.put('conversations', 'U2', { text: 'b' });
+  assert.strictEqual(fs.existsSync(filePath), false);
+
+  store.flush();
+  const reloaded = createStore({ type: 'json', filePath });
+  assert.deepStrictEqual(reloaded.load('conversations'), { U1: { text: 'a' }, U2: { text: 'b' } });
+});
+
+test('保存した値は呼び出し側のオブジェクトと共有されない', () => {
+  const store = createStore({ type: 'memory' });
+  const value = { text: 'a' };
+  store.put('conversations', 'U1', value);
+  value.text = 'changed';
+  assert.strictEqual(store.load('conversations').U1.text, 'a');
+});
+
+test('追記ログは再起動後も読めて、期間で絞って読める', async () => {
+  const filePath = tempFile('store.json');
+  const store = createStore({ type: 'json', filePath, flushDelayMs: 60 * 1000 });
+  store.appendLog('auditLog', { id: '1', timestamp: Date.parse('2026-10-17T12:00:00Z') });
+  store.appendLog('auditLog', { id: '2', timestamp: Date.parse('2026-10-18T12:00:00Z') });
+  store.flush();
+  store.appendLog('auditLog', { id: '3', timestamp: Date.parse('2026-10-19T12:00:00Z') });
+
+  const range = { from: Date.parse('2026-10-18T00:00:00Z'), to: Date.parse('2026-10-19T13:00:00Z') };
+  assert.deepStrictEqual((await readAll(store, range)).map(e => e.id), ['2', '3']);
+  const reloaded = createStore({ type: 'json', filePath });
+  assert.deepStrictEqual((await readAll(reloaded)).map(e => e.id), ['1', '2', '3']);
+});
+
+test('pruneLog() は before より前の日のログファイルを消す', async () => {
+  const filePath = tempFile('store.json');
+  const store = createStore({ type: 'json', filePath, flushDelayMs: 60 * 1000 });
+  store.appendLog('auditLog', { id: '1', timestamp: Date.parse('2026-10-17T12:00:00Z') });
+  store.appendLog('auditLog', { id: '2', timestamp: Date.parse('2026-10-18T12:00:00Z') });
+  store.appendLog('auditLog', { id: '3', timestamp: Date.parse('2026-10-19T12:00:00Z') });
+  store.pruneLog('auditLog', Date.parse('2026-10-18T18:00:00Z'));
+
+  assert.deepStrictEqual(fs.readdirSync(path.dirname(filePath)).filter(f => f.endsWith('.jsonl')).sort(),
+    ['store.auditLog.2026-10-18.jsonl', 'store.auditLog.2026-10-19.jsonl']);
+  assert.deepStrictEqual((await readAll(store)).map(e => e.id), ['2', '3']);
+});